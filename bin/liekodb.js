@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const vm = require('vm');
+const LiekoDB = require('../liekodb.js');
+const { startShell } = require('./shell.js');
+
+const USAGE = `Usage: liekodb [connection] <command> [arguments] [options]
+
+Connection (environment variable in brackets):
+  --storage <dir>       Storage directory of a local database [LIEKODB_STORAGE] (default: ./storage)
+  --url <url>           Server URL of a remote database [LIEKODB_URL]
+  --token <token>       Bearer token for --url [LIEKODB_TOKEN]
+  --key <key>           encryptionKey for encrypted fields and files [LIEKODB_KEY]
+  --config <file>       JSON file of further LiekoDB options (storageMode, compression, ...)
+  --debug               Log every request with its duration
+
+Commands:
+  ls                                     List collections and their document counts
+  find <col> [filter]                    Print matching documents
+       --sort <spec> --limit <n> --skip <n> --fields <spec> --explain
+  count <col> [filter]                   Count matching documents
+  insert <col> [json|-] [--mode <mode>]  Insert a document or an array (stdin when omitted)
+  update <col> <filter> <update>         Update matching documents
+  delete <col> <filter>                  Delete matching documents ('{}' for all of them)
+  drop <col>                             Drop a collection
+  export <col> [file]                    Export documents (stdout when no file is given)
+       --format <ndjson|csv|ejson> --filter <filter> --fields <spec> --columns <json>
+  import <col> [file]                    Import documents (stdin when no file is given)
+       --format <ndjson|csv|ejson> --mode <insert|upsert|replace> --columns <json> --delimiter <c>
+  indexes <col>                          List indexes
+  indexes <col> create <fields> [--unique] [--sparse]
+  indexes <col> drop <name>
+  indexes <col> verify
+  status                                 Print database status
+  shell                                  Start an interactive shell, e.g. db.users.find({age: {$gt: 30}})
+
+Filters, updates and documents are JSON or JavaScript object literals,
+e.g. '{age: {$gt: 30}}'. Sort and field specs are objects or comma lists:
+--sort -age,name  --fields name,email`;
+
+const FLAGS = ['debug', 'unique', 'sparse', 'explain', 'help'];
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    return { positional, options };
+}
+
+// JSON first, then a JavaScript literal for shell-style input such as {age: {$gt: 30}}
+function parseValue(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        try {
+            return vm.runInNewContext(`(${text})`, {}, { timeout: 1000 });
+        } catch (err) {
+            throw new Error(`Invalid ${what}: ${text}`);
+        }
+    }
+}
+
+// "-age,name" → { age: -1, name: 1 }
+function parseSpec(text, what, exclude) {
+    if (/^\s*\{/.test(text)) return parseValue(text, what);
+
+    return Object.fromEntries(text.split(',').filter(Boolean).map(field =>
+        field.startsWith('-') ? [field.slice(1), exclude] : [field, 1]
+    ));
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function connect(options) {
+    let config = {};
+    if (options.config) {
+        config = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+    }
+
+    const url = options.url || process.env.LIEKODB_URL || config.databaseUrl;
+    const token = options.token || process.env.LIEKODB_TOKEN || config.token;
+    const encryptionKey = options.key || process.env.LIEKODB_KEY || config.encryptionKey;
+    const debug = options.debug || false;
+
+    if (url) {
+        if (!token) throw new Error('--url requires --token');
+        return new LiekoDB({ ...config, databaseUrl: url, token, debug });
+    }
+
+    return new LiekoDB({
+        ...config,
+        storagePath: options.storage || process.env.LIEKODB_STORAGE || config.storagePath || './storage',
+        encryptionKey,
+        // Every write is on disk before the command returns
+        durability: 'sync',
+        debug
+    });
+}
+
+// Unwraps a { success, data, error } envelope
+function unwrap(response) {
+    if (!response.success) {
+        const error = new Error(response.error?.message || 'Request failed');
+        error.details = response.error;
+        throw error;
+    }
+    return response.data;
+}
+
+function print(value) {
+    process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function printTable(rows, columns) {
+    const widths = columns.map(column =>
+        Math.max(column.length, ...rows.map(row => String(row[column] ?? '').length))
+    );
+    const line = values => values.map((value, i) => String(value ?? '').padEnd(widths[i])).join('  ').trimEnd();
+
+    process.stdout.write(line(columns) + '\n');
+    for (const row of rows) process.stdout.write(line(columns.map(column => row[column])) + '\n');
+}
+
+const commands = {
+    async ls(db) {
+        const rows = [];
+        for (const name of await db.listCollections()) {
+            const response = await db.collection(name).count();
+            rows.push({ collection: name, documents: response.success ? response.data : 0 });
+        }
+        printTable(rows, ['collection', 'documents']);
+    },
+
+    async find(db, [name, filter = '{}'], options) {
+        const findOptions = {};
+        if (options.sort) findOptions.sort = parseSpec(options.sort, 'sort', -1);
+        if (options.fields) findOptions.fields = parseSpec(options.fields, 'fields', -1);
+        if (options.limit) findOptions.limit = options.limit;
+        if (options.skip) findOptions.skip = Number(options.skip);
+        if (options.explain) findOptions.explain = true;
+
+        const response = await db.collection(name).find(parseValue(filter, 'filter'), findOptions);
+        print(response.error?.code === 404 ? [] : unwrap(response));
+    },
+
+    async count(db, [name, filter = '{}']) {
+        print(unwrap(await db.collection(name).count(parseValue(filter, 'filter'))));
+    },
+
+    async insert(db, [name, json = '-'], options) {
+        const text = json === '-' ? await readStdin() : json;
+        const insertOptions = options.mode ? { mode: options.mode } : {};
+        print(unwrap(await db.collection(name).insert(parseValue(text, 'document'), insertOptions)));
+    },
+
+    async update(db, [name, filter, update]) {
+        if (!filter || !update) throw new Error('Usage: liekodb update <col> <filter> <update>');
+        print(unwrap(await db.collection(name).update(parseValue(filter, 'filter'), parseValue(update, 'update'))));
+    },
+
+    async delete(db, [name, filter]) {
+        if (!filter) throw new Error("Usage: liekodb delete <col> <filter> (use '{}' to delete every document)");
+        print(unwrap(await db.collection(name).delete(parseValue(filter, 'filter'))));
+    },
+
+    async drop(db, [name]) {
+        print(unwrap(await db.dropCollection(name)));
+    },
+
+    async export(db, [name, file], options) {
+        const stream = file ? fs.createWriteStream(file) : process.stdout;
+        const response = await db.collection(name).export(stream, {
+            format: options.format,
+            filters: options.filter ? parseValue(options.filter, 'filter') : {},
+            fields: options.fields ? parseSpec(options.fields, 'fields', -1) : null,
+            columns: options.columns ? parseValue(options.columns, 'columns') : undefined,
+            delimiter: options.delimiter,
+            end: Boolean(file)
+        });
+
+        const data = unwrap(response);
+        if (file) process.stderr.write(`Exported ${data.exportedCount} document(s) to ${file}\n`);
+    },
+
+    async import(db, [name, file], options) {
+        const stream = file ? fs.createReadStream(file) : process.stdin;
+        print(unwrap(await db.collection(name).import(stream, {
+            format: options.format,
+            mode: options.mode,
+            columns: options.columns ? parseValue(options.columns, 'columns') : undefined,
+            delimiter: options.delimiter,
+            batchSize: options['batch-size'] ? Number(options['batch-size']) : undefined
+        })));
+    },
+
+    async indexes(db, [name, action, arg], options) {
+        const collection = db.collection(name);
+
+        switch (action) {
+            case undefined:
+                return print(unwrap(await collection.listIndexes()));
+            case 'create':
+                if (!arg) throw new Error('Usage: liekodb indexes <col> create <fields>');
+                return print(unwrap(await collection.createIndex(parseSpec(arg, 'index', -1), {
+                    unique: options.unique || false,
+                    sparse: options.sparse || false
+                })));
+            case 'drop':
+                if (!arg) throw new Error('Usage: liekodb indexes <col> drop <name>');
+                return print(unwrap(await collection.dropIndex(arg)));
+            case 'verify':
+                return print(unwrap(await collection.verifyIndexes()));
+            default:
+                throw new Error(`Unknown indexes action "${action}". Use create, drop or verify`);
+        }
+    },
+
+    async status(db) {
+        // A local database only reports the collections it has loaded
+        for (const name of await db.listCollections()) await db.collection(name).count();
+        print(await db.status());
+    },
+
+    async shell(db) {
+        await startShell(db);
+    }
+};
+
+async function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command, ...args] = positional;
+
+    if (!command || options.help || command === 'help') {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}". Run "liekodb help" for the list of commands`);
+    }
+    if (!['ls', 'status', 'shell'].includes(command) && !args[0]) {
+        throw new Error(`Usage: liekodb ${command} <col> ...`);
+    }
+
+    const db = connect(options);
+    try {
+        await commands[command](db, args, options);
+    } finally {
+        await db.close();
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        error => {
+            process.stderr.write(`Error: ${error.message}\n`);
+            if (error.details?.errors) process.stderr.write(JSON.stringify(error.details.errors, null, 2) + '\n');
+            process.exitCode = 1;
+        }
+    );
+}
+
+module.exports = { main, commands, parseArgs, parseValue, connect };
@@ -0,0 +1,210 @@
+const repl = require('repl');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const LiekoDB = require('../liekodb.js');
+
+const DB_METHODS = ['collection', 'createCollection', 'listCollections', 'dropCollection',
+    'transaction', 'backup', 'restore', 'status'];
+
+const OPERATORS = [...new Set(Object.values(LiekoDB.OPERATORS).flat())].sort();
+
+// `db.users` resolves to db.collection('users'); LiekoDB's own members win
+function shellDb(db) {
+    return new Proxy(db, {
+        get(target, prop) {
+            if (typeof prop === 'symbol' || prop in target) {
+                const value = Reflect.get(target, prop);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+            // Not a collection: keeps `await db` and promise checks working
+            if (prop === 'then') return undefined;
+            return target.collection(prop);
+        }
+    });
+}
+
+function formatCell(value) {
+    const text = value === undefined
+        ? ''
+        : value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 40 ? text.slice(0, 39) + '…' : text;
+}
+
+function formatTable(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join(' | ').trimEnd();
+
+    return [
+        line(columns),
+        widths.map(width => '-'.repeat(width)).join('-+-'),
+        ...cells.map(line),
+        `(${rows.length} document${rows.length === 1 ? '' : 's'})`
+    ].join('\n');
+}
+
+function formatDuration(ms) {
+    if (ms < 1) return `${(ms * 1000).toFixed(0)} µs`;
+    if (ms < 1000) return `${ms.toFixed(2)} ms`;
+    return `${(ms / 1000).toFixed(2)} s`;
+}
+
+function isEnvelope(value) {
+    return value !== null && typeof value === 'object' && 'success' in value && 'data' in value && 'error' in value;
+}
+
+function format(value, mode) {
+    if (util.types.isNativeError(value)) {
+        return util.inspect(value);
+    }
+    if (value instanceof LiekoDB) {
+        return `[LiekoDB ${value.adapter.databaseUrl || value.adapter.storagePath}]`;
+    }
+
+    if (isEnvelope(value)) {
+        if (!value.success) {
+            const { message, code, errors } = value.error || {};
+            return `Error${code ? ` ${code}` : ''}: ${message || 'Request failed'}` +
+                (errors ? '\n' + JSON.stringify(errors, null, 2) : '');
+        }
+        value = value.data;
+    }
+
+    if (value && value.adapter && typeof value.name === 'string') {
+        return `[Collection ${value.name}]`;
+    }
+
+    const rows = Array.isArray(value) ? value : null;
+    if (mode === 'table' && rows && rows.length > 0 && rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        return formatTable(rows);
+    }
+
+    if (value === undefined || typeof value === 'function') {
+        return util.inspect(value);
+    }
+    try {
+        return JSON.stringify(value, null, 2);
+    } catch (e) {
+        return util.inspect(value, { depth: 2 });
+    }
+}
+
+/**
+ * Starts an interactive shell on `db`, where `db.<collection>.<method>()`
+ * results are awaited and printed. Resolves when the shell exits.
+ */
+function startShell(db, options = {}) {
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    let mode = 'json';
+    let timing = options.timing !== false;
+    let duration = null;
+
+    const server = repl.start({
+        prompt: 'liekodb> ',
+        input,
+        output,
+        terminal: options.terminal,
+        useGlobal: false,
+        ignoreUndefined: true,
+        writer: value => {
+            const text = format(value, mode);
+            return timing && duration !== null ? `${text}\n(${formatDuration(duration)})` : text;
+        }
+    });
+
+    // Results are awaited, so `db.users.find()` prints documents, not a promise.
+    // Timings cover the whole call, without turning on the adapter's debug logs
+    const builtinEval = server.eval;
+    server.eval = (code, context, filename, callback) => {
+        const start = process.hrtime.bigint();
+        duration = null;
+        builtinEval.call(server, code, context, filename, (error, result) => {
+            if (error) return callback(error);
+            Promise.resolve(result).then(value => {
+                duration = Number(process.hrtime.bigint() - start) / 1e6;
+                callback(null, value);
+            }, callback);
+        });
+    };
+
+    server.context.db = shellDb(db);
+    server.context.LiekoDB = LiekoDB;
+
+    const builtinCompleter = server.completer;
+    server.completer = (line, callback) => {
+        const operator = line.match(/(?:^|[^\w$])(\$\w*)$/);
+        if (operator) {
+            const hits = OPERATORS.filter(name => name.startsWith(operator[1]));
+            return callback(null, [hits, operator[1]]);
+        }
+
+        const method = line.match(/\bdb\.([\w$]+)\.([\w$]*)$/);
+        if (method && !DB_METHODS.includes(method[1])) {
+            const proto = Object.getPrototypeOf(db.collection(method[1]));
+            const names = Object.getOwnPropertyNames(proto).filter(name => name !== 'constructor' && !name.startsWith('_'));
+            const hits = names.filter(name => name.startsWith(method[2]));
+            return callback(null, [hits.map(name => `db.${method[1]}.${name}`), `db.${method[1]}.${method[2]}`]);
+        }
+
+        const member = line.match(/\bdb\.([\w$]*)$/);
+        if (member) {
+            return Promise.resolve(db.listCollections()).then(collections => {
+                const hits = [...new Set([...collections, ...DB_METHODS])]
+                    .filter(name => name.startsWith(member[1]))
+                    .sort();
+                callback(null, [hits.map(name => `db.${name}`), `db.${member[1]}`]);
+            }, () => callback(null, [[], line]));
+        }
+
+        return builtinCompleter.call(server, line, callback);
+    };
+
+    server.defineCommand('collections', {
+        help: 'List collections',
+        async action() {
+            this.clearBufferedCommand();
+            const collections = await db.listCollections();
+            this.output.write((collections.length > 0 ? collections.join('\n') : '(no collections)') + '\n');
+            this.displayPrompt();
+        }
+    });
+
+    server.defineCommand('table', {
+        help: 'Print documents as a table',
+        action() {
+            mode = 'table';
+            this.displayPrompt();
+        }
+    });
+
+    server.defineCommand('json', {
+        help: 'Print results as JSON (default)',
+        action() {
+            mode = 'json';
+            this.displayPrompt();
+        }
+    });
+
+    server.defineCommand('timing', {
+        help: 'Toggle request timings',
+        action() {
+            timing = !timing;
+            this.output.write(`Timings ${timing ? 'on' : 'off'}\n`);
+            this.displayPrompt();
+        }
+    });
+
+    const historyFile = options.history === undefined
+        ? process.env.LIEKODB_HISTORY || path.join(os.homedir(), '.liekodb_history')
+        : options.history;
+    if (historyFile && server.setupHistory) {
+        server.setupHistory(historyFile, () => {});
+    }
+
+    return new Promise(resolve => server.on('exit', resolve));
+}
+
+module.exports = { startShell, format, formatTable };
@@ -46,5 +46,13 @@ const comments = db.collection('comments');
 
     console.log(nodejsPosts)
 
+    // Load published posts together with their comments
+    const postsWithComments = await posts.aggregate([
+        { $match: { published: true } },
+        { $lookup: { from: 'comments', localField: 'id', foreignField: 'postId', as: 'comments' } }
+    ]);
+
+    console.log(postsWithComments)
+
     //await db.close(); // optional, to close the database connection
 })();
\ No newline at end of file
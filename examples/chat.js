@@ -17,6 +17,12 @@ const users = db.collection('users');
     ]);
     console.log(createUsers)
 
+    // Live feed of Alice's incoming messages, no polling needed
+    const aliceInbox = messages.watch({ to: 'u1' });
+    aliceInbox.on('change', event => {
+        if (event.op === 'insert') console.log('New message for Alice:', event.doc.text);
+    });
+
     await messages.insert([
         { from: 'u1', to: 'u2', text: 'Hi Bob!', read: false, sentAt: new Date().toISOString() },
         { from: 'u2', to: 'u1', text: 'Hey Alice! How are you?', read: true, sentAt: new Date(Date.now() - 3600000).toISOString() },
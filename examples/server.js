@@ -0,0 +1,30 @@
+const LiekoDB = require('../liekodb');
+
+const token = process.env.LIEKODB_TOKEN || 'dev-token';
+
+(async () => {
+    const server = LiekoDB.createServer({
+        storagePath: './server_data',
+        tokens: [token],
+        port: 8050,
+        debug: true
+    });
+
+    await server.listen();
+    console.log(`LiekoDB server running on port ${server.port}`);
+
+    // Any other process can now connect with the same token
+    const db = new LiekoDB({ token, databaseUrl: `http://127.0.0.1:${server.port}` });
+    const notes = db.collection('notes');
+
+    await notes.insert({ title: 'Hello from the client' });
+    const allNotes = await notes.find();
+    console.log(allNotes.data);
+
+    db.close();
+
+    process.on('SIGINT', async () => {
+        await server.close();
+        process.exit(0);
+    });
+})();
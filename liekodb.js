@@ -1,6 +1,16 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter, once } = require('events');
+const readline = require('readline');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { StringDecoder } = require('string_decoder');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const pipeline = promisify(require('stream').pipeline);
 
 const http = require("http");
 const https = require("https");
@@ -13,10 +23,11 @@ class QueryEngine {
         this.cacheSize = 1000;
     }
 
-    applyFilters(data, filter) {
+    // `scope` keeps the cached results of different collections apart
+    applyFilters(data, filter, scope = '') {
         if (!filter || Object.keys(filter).length === 0) return data;
 
-        const cacheKey = JSON.stringify(filter) + data.length;
+        const cacheKey = scope + ':' + this._cacheKey(filter) + data.length;
         if (this.queryCache.has(cacheKey)) {
             this.cacheHits++;
             return this.queryCache.get(cacheKey);
@@ -33,16 +44,50 @@ class QueryEngine {
         return results;
     }
 
+    // Cached results hold the matching documents, so any write invalidates them
+    clearCache() {
+        this.queryCache.clear();
+    }
+
+    // Dates and regular expressions don't survive JSON.stringify on their own
+    _cacheKey(filter) {
+        return JSON.stringify(filter, function (key, value) {
+            const raw = this[key];
+            if (raw instanceof Date) return { $date: raw.getTime() };
+            if (raw instanceof RegExp) return { $regex: String(raw) };
+            return value;
+        });
+    }
+
+    // Equality; a Date equals a Date or ISO timestamp string of the same instant
     compareValue(actual, expected) {
-        return actual === expected;
+        if (actual === expected) return true;
+        if (!(actual instanceof Date) && !(expected instanceof Date)) return false;
+
+        const a = this.toTime(actual);
+        const b = this.toTime(expected);
+        return a !== null && a === b;
+    }
+
+    // Milliseconds of a Date or ISO 8601 timestamp string, null otherwise
+    toTime(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'string' && QueryEngine.ISO_DATE.test(value)) {
+            const time = Date.parse(value);
+            return isNaN(time) ? null : time;
+        }
+        return null;
     }
 
     matchesFilter(item, filter) {
         if (!filter) return true;
-        if (filter.$and) return filter.$and.every(f => this.matchesFilter(item, f));
-        if (filter.$or) return filter.$or.some(f => this.matchesFilter(item, f));
-        if (filter.$nor) return !filter.$nor.some(f => this.matchesFilter(item, f));
-        if (filter.$not) return !this.matchesFilter(item, filter.$not);
+        if ('$text' in filter) throw new Error('$text is only supported at the top level of a filter, over a text index');
+        if ('$expr' in filter && !this._truthy(this.evaluateExpression(filter.$expr, item))) return false;
+        // Logical operators are conditions AND-ed with the other keys, as the planner assumes
+        if (filter.$and && !filter.$and.every(f => this.matchesFilter(item, f))) return false;
+        if (filter.$or && !filter.$or.some(f => this.matchesFilter(item, f))) return false;
+        if (filter.$nor && filter.$nor.some(f => this.matchesFilter(item, f))) return false;
+        if (filter.$not && this.matchesFilter(item, filter.$not)) return false;
 
         for (const key of Object.keys(filter)) {
             if (key.startsWith('$')) continue;
@@ -53,13 +98,15 @@ class QueryEngine {
             if (
                 typeof expected === 'object' &&
                 expected !== null &&
-                !Array.isArray(expected)
+                !Array.isArray(expected) &&
+                !(expected instanceof Date)
             ) {
-                if (!this.matchesOperators(value, expected)) return false;
+                const ops = expected instanceof RegExp ? { $regex: expected } : expected;
+                if (!this.matchesOperators(value, ops)) return false;
             } else {
                 if (Array.isArray(value)) {
-                    if (!value.includes(expected)) return false;
-                } else if (value !== expected) {
+                    if (!value.some(v => this.compareValue(v, expected))) return false;
+                } else if (!this.compareValue(value, expected)) {
                     return false;
                 }
             }
@@ -110,7 +157,8 @@ class QueryEngine {
 
     matchesOperators(actual, ops) {
         for (const [op, expected] of Object.entries(ops)) {
-            if (op === '$options') continue;
+            // Modifiers read by $regex and $near
+            if (op === '$options' || op === '$maxDistance' || op === '$minDistance') continue;
 
             if (actual === undefined) {
                 switch (op) {
@@ -129,56 +177,48 @@ class QueryEngine {
             switch (op) {
                 case '$eq':
                     if (Array.isArray(actual)) {
-                        if (!actual.includes(expected)) return false;
-                    } else if (actual !== expected) return false;
+                        if (!actual.some(v => this.compareValue(v, expected))) return false;
+                    } else if (!this.compareValue(actual, expected)) return false;
                     break;
 
                 case '$ne':
                     if (Array.isArray(actual)) {
-                        if (actual.includes(expected)) return false;
-                    } else if (actual === expected) return false;
+                        if (actual.some(v => this.compareValue(v, expected))) return false;
+                    } else if (this.compareValue(actual, expected)) return false;
                     break;
 
                 case '$gt':
-                    if (Array.isArray(actual)) {
-                        if (!actual.some(v => v > expected)) return false;
-                    } else if (!(actual > expected)) return false;
-                    break;
-
                 case '$gte':
-                    if (Array.isArray(actual)) {
-                        if (!actual.some(v => v >= expected)) return false;
-                    } else if (!(actual >= expected)) return false;
-                    break;
-
                 case '$lt':
-                    if (Array.isArray(actual)) {
-                        if (!actual.some(v => v < expected)) return false;
-                    } else if (!(actual < expected)) return false;
-                    break;
-
                 case '$lte':
                     if (Array.isArray(actual)) {
-                        if (!actual.some(v => v <= expected)) return false;
-                    } else if (!(actual <= expected)) return false;
+                        if (!actual.some(v => this.matchesRange(v, op, expected))) return false;
+                    } else if (!this.matchesRange(actual, op, expected)) return false;
                     break;
 
                 case '$in':
                     if (Array.isArray(actual)) {
-                        if (!actual.some(v => expected.includes(v))) return false;
+                        if (!actual.some(v => expected.some(e => this.compareValue(v, e)))) return false;
                     } else {
-                        if (!expected.includes(actual)) return false;
+                        if (!expected.some(e => this.compareValue(actual, e))) return false;
                     }
                     break;
 
                 case '$nin':
                     if (Array.isArray(actual)) {
-                        if (actual.some(v => expected.includes(v))) return false;
+                        if (actual.some(v => expected.some(e => this.compareValue(v, e)))) return false;
                     } else {
-                        if (expected.includes(actual)) return false;
+                        if (expected.some(e => this.compareValue(actual, e))) return false;
                     }
                     break;
 
+                case '$type': {
+                    const types = Array.isArray(expected) ? expected : [expected];
+                    const matches = v => types.some(type => this.isType(v, type));
+                    if (!matches(actual) && !(Array.isArray(actual) && actual.some(matches))) return false;
+                    break;
+                }
+
                 case '$exists':
                     if (expected === true && actual === undefined) return false;
                     if (expected === false && actual !== undefined) return false;
@@ -215,6 +255,34 @@ class QueryEngine {
                     }
                     break;
 
+                case '$elemMatch':
+                    if (!Array.isArray(actual) || !actual.some(el => this.matchesElement(el, expected))) return false;
+                    break;
+
+                case '$all':
+                    if (!Array.isArray(expected) || expected.length === 0) return false;
+                    if (!expected.every(item => this.arrayContains(actual, item))) return false;
+                    break;
+
+                case '$size':
+                    if (!Array.isArray(actual) || actual.length !== expected) return false;
+                    break;
+
+                case '$near': {
+                    const point = this.toPoint(actual);
+                    if (!point) return false;
+                    const { center, min, max } = this.nearSpec(ops);
+                    const distance = this.geoDistance(point, center);
+                    if (distance < min || distance > max) return false;
+                    break;
+                }
+
+                case '$geoWithin': {
+                    const point = this.toPoint(actual);
+                    if (!point || !this.matchesShape(point, this.geoShape(expected))) return false;
+                    break;
+                }
+
                 default:
                     if (this.debug) console.warn("Unknown operator:", op);
                     continue;
@@ -223,32 +291,330 @@ class QueryEngine {
         return true;
     }
 
-    count(data, filters = {}) {
+    // $elemMatch takes either operators applied to the element itself
+    // ({ $gte: 80, $lt: 90 }) or a filter on its fields ({ sku: 'A', qty: { $gt: 1 } })
+    matchesElement(element, spec) {
+        const keys = Object.keys(spec);
+        const operatorForm = keys.length > 0 &&
+            keys.every(key => key.startsWith('$') && !['$and', '$or', '$nor'].includes(key));
+
+        if (operatorForm) return this.matchesOperators(element, spec);
+        return element !== null && typeof element === 'object' && !Array.isArray(element) &&
+            this.matchesFilter(element, spec);
+    }
+
+    // Member test for $all; an { $elemMatch } item needs a matching element
+    arrayContains(actual, item) {
+        if (item && typeof item === 'object' && '$elemMatch' in item) {
+            return Array.isArray(actual) && actual.some(el => this.matchesElement(el, item.$elemMatch));
+        }
+
+        const values = Array.isArray(actual) ? actual : [actual];
+        if (item === null || typeof item !== 'object') return values.includes(item);
+
+        const key = JSON.stringify(item);
+        return values.some(v => v !== null && typeof v === 'object' && JSON.stringify(v) === key);
+    }
+
+    // [lng, lat] of a GeoJSON Point, a [lng, lat] pair or a { lng, lat } object, null otherwise
+    toPoint(value) {
+        let coords = null;
+        if (Array.isArray(value)) {
+            coords = value;
+        } else if (value && typeof value === 'object') {
+            if (value.type === 'Point' && Array.isArray(value.coordinates)) coords = value.coordinates;
+            else if ('lat' in value && ('lng' in value || 'lon' in value)) coords = [value.lng ?? value.lon, value.lat];
+        }
+
+        if (!coords || coords.length !== 2 || !coords.every(c => typeof c === 'number' && isFinite(c))) return null;
+        const [lng, lat] = coords;
+        return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90 ? [lng, lat] : null;
+    }
+
+    // Great-circle distance in meters between two [lng, lat] points
+    geoDistance([lng1, lat1], [lng2, lat2]) {
+        const rad = Math.PI / 180;
+        const h = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+            Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lng2 - lng1) * rad / 2) ** 2;
+        return 2 * QueryEngine.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * Reads a $near condition as { center, min, max }. Both
+     * { $near: { $geometry: Point, $maxDistance, $minDistance } } and
+     * { $near: [lng, lat], $maxDistance } are accepted; distances are in meters.
+     */
+    nearSpec(ops) {
+        const near = ops.$near;
+        const withGeometry = near !== null && typeof near === 'object' && !Array.isArray(near) && '$geometry' in near;
+        const center = this.toPoint(withGeometry ? near.$geometry : near);
+        if (!center) throw new Error('$near requires a GeoJSON Point or a [lng, lat] pair');
+
+        const limits = withGeometry ? near : ops;
+        return { center, min: limits.$minDistance || 0, max: limits.$maxDistance ?? Infinity };
+    }
+
+    /**
+     * Reads a $geoWithin shape: { $centerSphere: [[lng, lat], radians] },
+     * { $box: [[lng, lat], [lng, lat]] } (bottom left, top right),
+     * { $polygon: [[lng, lat], ...] } or { $geometry: GeoJSON Polygon }.
+     * Circles come back as { type: 'circle', center, min, max } like $near.
+     */
+    geoShape(spec) {
+        if (!spec || typeof spec !== 'object') throw new Error('$geoWithin requires a shape');
+
+        if (spec.$centerSphere) {
+            const [center, radius] = spec.$centerSphere;
+            const point = this.toPoint(center);
+            if (!point || typeof radius !== 'number' || radius < 0) {
+                throw new Error('$centerSphere requires [[lng, lat], radius in radians]');
+            }
+            return { type: 'circle', center: point, min: 0, max: radius * QueryEngine.EARTH_RADIUS };
+        }
+
+        if (spec.$box) {
+            const corners = Array.isArray(spec.$box) ? spec.$box.map(c => this.toPoint(c)) : [];
+            if (corners.length !== 2 || corners.includes(null)) throw new Error('$box requires [[lng, lat], [lng, lat]]');
+            return { type: 'box', min: corners[0], max: corners[1] };
+        }
+
+        const ring = spec.$polygon ||
+            (spec.$geometry && spec.$geometry.type === 'Polygon' && Array.isArray(spec.$geometry.coordinates) && spec.$geometry.coordinates[0]);
+        if (ring) {
+            const points = Array.isArray(ring) ? ring.map(c => this.toPoint(c)) : [];
+            if (points.length < 3 || points.includes(null)) throw new Error('A polygon requires at least 3 [lng, lat] points');
+            return { type: 'polygon', ring: points };
+        }
+
+        throw new Error('$geoWithin requires $centerSphere, $box, $polygon or a $geometry Polygon');
+    }
+
+    // Boxes and polygons are flat in lng/lat, circles follow the sphere
+    matchesShape([lng, lat], shape) {
+        switch (shape.type) {
+            case 'circle': {
+                const distance = this.geoDistance([lng, lat], shape.center);
+                return distance >= shape.min && distance <= shape.max;
+            }
+            case 'box':
+                return lng >= shape.min[0] && lng <= shape.max[0] && lat >= shape.min[1] && lat <= shape.max[1];
+            default: {
+                // Ray casting; points on an edge may fall either side
+                let inside = false;
+                const ring = shape.ring;
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [xi, yi] = ring[i];
+                    const [xj, yj] = ring[j];
+                    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+                }
+                return inside;
+            }
+        }
+    }
+
+    // Lng/lat box around a shape, null when it cannot be bounded
+    shapeBounds(shape) {
+        if (shape.type === 'box') {
+            return { minLng: shape.min[0], minLat: shape.min[1], maxLng: shape.max[0], maxLat: shape.max[1] };
+        }
+        if (shape.type === 'polygon') {
+            const lngs = shape.ring.map(p => p[0]);
+            const lats = shape.ring.map(p => p[1]);
+            return { minLng: Math.min(...lngs), minLat: Math.min(...lats), maxLng: Math.max(...lngs), maxLat: Math.max(...lats) };
+        }
+
+        const angle = shape.max / QueryEngine.EARTH_RADIUS;
+        if (!(angle < Math.PI / 2)) return null;
+
+        const [lng, lat] = shape.center;
+        const dLat = angle * 180 / Math.PI;
+        const minLat = lat - dLat;
+        const maxLat = lat + dLat;
+
+        // Around a pole or across the antimeridian every longitude is in range
+        const ratio = Math.sin(angle) / Math.cos(lat * Math.PI / 180);
+        const dLng = ratio < 1 ? Math.asin(ratio) * 180 / Math.PI : 180;
+        if (minLat <= -90 || maxLat >= 90 || lng - dLng < -180 || lng + dLng > 180) {
+            return { minLng: -180, minLat: Math.max(minLat, -90), maxLng: 180, maxLat: Math.min(maxLat, 90) };
+        }
+        return { minLng: lng - dLng, minLat, maxLng: lng + dLng, maxLat };
+    }
+
+    count(data, filters = {}, scope = '') {
         if (!filters || Object.keys(filters).length === 0) {
             return data.length;
         }
-        return this.applyFilters(data, filters).length;
+        return this.applyFilters(data, filters, scope).length;
+    }
+
+    // Rank of a value's type in the cross-type order, as in BSON:
+    // missing/null < numbers < strings < objects < arrays < booleans < dates < regexes
+    typeRank(value) {
+        if (value === undefined || value === null) return 0;
+        if (typeof value === 'number') return 1;
+        if (typeof value === 'string') return 2;
+        if (Array.isArray(value)) return 4;
+        if (typeof value === 'boolean') return 5;
+        if (value instanceof Date) return 6;
+        if (value instanceof RegExp) return 7;
+        return 3;
+    }
+
+    // Total order over all values, shared by sorting, range operators,
+    // $min/$max and index scans so they agree on where every value lands.
+    // A Date compared with an ISO timestamp string compares as a date.
+    compareOrder(a, b) {
+        if ((a instanceof Date || b instanceof Date) && this.toTime(a) !== null && this.toTime(b) !== null) {
+            return Math.sign(this.toTime(a) - this.toTime(b));
+        }
+
+        const rankA = this.typeRank(a);
+        const rankB = this.typeRank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+        switch (rankA) {
+            case 0:
+                return 0;
+            case 3: {
+                const entriesA = Object.entries(a);
+                const entriesB = Object.entries(b);
+                for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+                    const cmp = this.compareOrder(entriesA[i][0], entriesB[i][0]) ||
+                        this.compareOrder(entriesA[i][1], entriesB[i][1]);
+                    if (cmp !== 0) return cmp;
+                }
+                return Math.sign(entriesA.length - entriesB.length);
+            }
+            case 4: {
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    const cmp = this.compareOrder(a[i], b[i]);
+                    if (cmp !== 0) return cmp;
+                }
+                return Math.sign(a.length - b.length);
+            }
+            case 6:
+                return Math.sign(a.getTime() - b.getTime());
+            case 7:
+                a = String(a);
+                b = String(b);
+                break;
+        }
+
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    // $gt/$gte/$lt/$lte only match values of the filter value's type (an
+    // ISO timestamp string counts as a date next to a Date); across types
+    // the answer would depend on the type order rather than the values.
+    matchesRange(actual, op, expected) {
+        const comparable = this.typeRank(actual) === this.typeRank(expected) ||
+            (expected instanceof Date && this.toTime(actual) !== null);
+        if (!comparable) return false;
+
+        const cmp = this.compareOrder(actual, expected);
+        switch (op) {
+            case '$gt': return cmp > 0;
+            case '$gte': return cmp >= 0;
+            case '$lt': return cmp < 0;
+            default: return cmp <= 0;
+        }
+    }
+
+    /**
+     * $type test. Accepts names ('number', 'double', 'int', 'long',
+     * 'decimal', 'string', 'object', 'array', 'bool', 'boolean', 'null',
+     * 'date', 'regex') or BSON type numbers. Dates are stored as ISO
+     * strings, so 'date' also matches ISO 8601 timestamp strings.
+     */
+    isType(value, type) {
+        const name = typeof type === 'number' ? QueryEngine.BSON_TYPES[type] : type;
+
+        switch (name) {
+            case 'number':
+            case 'double':
+            case 'decimal':
+                return typeof value === 'number';
+            case 'int':
+            case 'long':
+                return Number.isInteger(value);
+            case 'string':
+                return typeof value === 'string';
+            case 'object':
+                return this.typeRank(value) === 3;
+            case 'array':
+                return Array.isArray(value);
+            case 'bool':
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'null':
+                return value === null;
+            case 'date':
+                return this.toTime(value) !== null;
+            case 'regex':
+                return value instanceof RegExp;
+            default:
+                throw new Error(`Unknown $type: ${type}`);
+        }
     }
 
-    sortResults(data, sortSpec) {
+    /**
+     * `meta` maps documents to the values their query computed, such as
+     * { textScore }; a { $meta: name } sort direction orders by one of them.
+     */
+    sortResults(data, sortSpec, meta) {
         return data.sort((a, b) => {
             for (const [field, direction] of Object.entries(sortSpec)) {
-                const aVal = this.getValue(a, field);
-                const bVal = this.getValue(b, field);
-
-                if (aVal < bVal) return direction === 1 ? -1 : 1;
-                if (aVal > bVal) return direction === 1 ? 1 : -1;
+                if (this._isMeta(direction)) {
+                    const cmp = this.compareOrder(this.metaValue(a, direction.$meta, meta), this.metaValue(b, direction.$meta, meta));
+                    if (cmp !== 0) return QueryEngine.META[direction.$meta] * cmp;
+                    continue;
+                }
+                const cmp = this.compareOrder(this.getValue(a, field), this.getValue(b, field));
+                if (cmp !== 0) return direction === 1 ? cmp : -cmp;
             }
             return 0;
         });
     }
 
-    selectFields(data, projection) {
+    _isMeta(value) {
+        return value !== null && typeof value === 'object' && '$meta' in value;
+    }
+
+    metaValue(doc, name, meta) {
+        if (!(name in QueryEngine.META)) {
+            throw new Error(`Unknown $meta: ${name}. Valid values: ${Object.keys(QueryEngine.META).join(', ')}`);
+        }
+        const values = meta && meta.get(doc);
+        return values ? values[name] : undefined;
+    }
+
+    selectFields(data, projection, meta) {
         if (!projection || Object.keys(projection).length === 0) {
             return data;
         }
 
-        const hasIncludeFields = Object.values(projection).some(v => v === 1 || v === true);
+        // {score: {$meta: 'textScore'}} adds a query-computed value to
+        // whatever the rest of the projection keeps (the whole document by default)
+        const metaFields = Object.entries(projection).filter(([, v]) => this._isMeta(v));
+        if (metaFields.length > 0) {
+            const rest = Object.fromEntries(Object.entries(projection).filter(([, v]) => !this._isMeta(v)));
+            const selected = this.selectFields(data, rest);
+
+            return selected.map((doc, i) => {
+                const result = selected === data ? { ...doc } : doc;
+                for (const [field, spec] of metaFields) {
+                    result[field] = this.metaValue(data[i], spec.$meta, meta);
+                }
+                return result;
+            });
+        }
+
+        // Computed fields: {total: {$multiply: ['$price', '$qty']}} or {label: '$name'}
+        const isComputed = v => (v !== null && typeof v === 'object') || (typeof v === 'string' && v.startsWith('$'));
+
+        const hasIncludeFields = Object.values(projection).some(v => v === 1 || v === true || isComputed(v));
         const hasExcludeFields = Object.values(projection).some(v => v === -1 || v === false);
 
         // Inclusion (fields: {name: 1, age: 1})
@@ -258,6 +624,8 @@ class QueryEngine {
                 for (const [field, include] of Object.entries(projection)) {
                     if (include === 1 || include === true) {
                         result[field] = this.getValue(doc, field);
+                    } else if (isComputed(include)) {
+                        result[field] = this.evaluateExpression(include, doc);
                     }
                 }
                 return result;
@@ -301,6 +669,452 @@ class QueryEngine {
         delete current[lastPart];
     }
 
+    // Indexed text of a field: a string, or the strings of an array
+    textValue(doc, field) {
+        const value = this.getValue(doc, field);
+        const values = Array.isArray(value) ? value.flat(Infinity) : [value];
+        return values.filter(v => typeof v === 'string').join(' ');
+    }
+
+    _foldText(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Splits text into the terms a text index stores: case and accents
+     * folded, stop words of `options.language` dropped and the remaining
+     * words stemmed. `options` is a text index or { language, stemming,
+     * stopWords }, where stopWords may also be an array of custom words.
+     */
+    tokenize(text, options = {}) {
+        const language = QueryEngine.TEXT_LANGUAGES[options.language || 'english'];
+        if (!language) throw new Error(`Unsupported text language: ${options.language}`);
+
+        const stopWords = Array.isArray(options.stopWords)
+            ? new Set(options.stopWords.map(word => this._foldText(word)))
+            : options.stopWords === false ? null : language.stopWords;
+
+        const terms = [];
+        for (const word of this._foldText(text).split(/[^\p{L}\p{N}]+/u)) {
+            if (!word || (stopWords && stopWords.has(word))) continue;
+            terms.push(options.stemming === false ? word : this.stem(word, language));
+        }
+        return terms;
+    }
+
+    // Applies the first suffix rule that leaves a stem of 3+ letters
+    stem(word, language) {
+        for (const [suffix, replacement] of language.suffixes) {
+            if (!word.endsWith(suffix)) continue;
+            // A rule keeping its suffix (class, boss) shields the word from shorter ones
+            if (suffix === replacement) return word;
+            if (word.length - suffix.length < 3) continue;
+
+            let stem = word.slice(0, -suffix.length) + replacement;
+            // running -> runn -> run
+            if (replacement === '' && /([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+            return stem;
+        }
+        return word;
+    }
+
+    // '"exact phrase" word -excluded' -> { terms, phrases, negated }
+    parseTextSearch(search) {
+        const phrases = [];
+        const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+            if (phrase.trim()) phrases.push(phrase.trim());
+            return ' ';
+        });
+
+        const words = rest.split(/\s+/).filter(Boolean);
+        return {
+            terms: words.filter(word => !word.startsWith('-')),
+            phrases,
+            negated: words.filter(word => word.startsWith('-')).map(word => word.slice(1))
+        };
+    }
+
+    // Whether `phrase` appears in `text`, ignoring case, accents and spacing
+    containsPhrase(text, phrase) {
+        const fold = value => ` ${this._foldText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ')} `;
+        return fold(text).includes(fold(phrase));
+    }
+
+    // Copy of `doc` with `path` set to `value`, copying only the objects on the path
+    _withValue(doc, path, value) {
+        const [head, ...rest] = path.split('.');
+        const result = Array.isArray(doc) ? [...doc] : { ...doc };
+
+        if (rest.length === 0) {
+            result[head] = value;
+        } else {
+            const child = result[head] && typeof result[head] === 'object' ? result[head] : {};
+            result[head] = this._withValue(child, rest.join('.'), value);
+        }
+        return result;
+    }
+
+    /**
+     * Evaluates an aggregation expression against a document: '$field'
+     * strings are field paths, `{ $op: args }` objects are operators, plain
+     * objects and arrays are evaluated member by member, anything else is
+     * a literal.
+     */
+    evaluateExpression(expr, doc) {
+        if (typeof expr === 'string') {
+            if (expr === '$$ROOT') return doc;
+            return expr.startsWith('$') ? this.getValue(doc, expr.slice(1)) : expr;
+        }
+
+        if (Array.isArray(expr)) {
+            return expr.map(e => this.evaluateExpression(e, doc));
+        }
+
+        if (!expr || typeof expr !== 'object' || expr instanceof Date || expr instanceof RegExp) {
+            return expr;
+        }
+
+        const keys = Object.keys(expr);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            return this.evaluateOperator(keys[0], expr[keys[0]], doc);
+        }
+
+        const result = {};
+        for (const key of keys) {
+            result[key] = this.evaluateExpression(expr[key], doc);
+        }
+        return result;
+    }
+
+    evaluateOperator(op, args, doc) {
+        if (op === '$literal') return args;
+
+        // Evaluated lazily: only the branch taken, only up to the deciding operand
+        if (op === '$cond') {
+            const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+            return this.evaluateExpression(this._truthy(this.evaluateExpression(condition, doc)) ? then : otherwise, doc);
+        }
+        if (op === '$and') {
+            return [].concat(args).every(a => this._truthy(this.evaluateExpression(a, doc)));
+        }
+        if (op === '$or') {
+            return [].concat(args).some(a => this._truthy(this.evaluateExpression(a, doc)));
+        }
+
+        const values = Array.isArray(args)
+            ? args.map(a => this.evaluateExpression(a, doc))
+            : [this.evaluateExpression(args, doc)];
+        const numbers = () => values.map(v => (typeof v === 'number' ? v : null));
+
+        switch (op) {
+            case '$add': {
+                const nums = numbers();
+                return nums.includes(null) ? null : nums.reduce((a, b) => a + b, 0);
+            }
+            case '$subtract': {
+                const [a, b] = numbers();
+                return a === null || b === null ? null : a - b;
+            }
+            case '$multiply': {
+                const nums = numbers();
+                return nums.includes(null) ? null : nums.reduce((a, b) => a * b, 1);
+            }
+            case '$divide': {
+                const [a, b] = numbers();
+                if (a === null || b === null) return null;
+                if (b === 0) throw new Error('$divide by zero');
+                return a / b;
+            }
+            case '$mod': {
+                const [a, b] = numbers();
+                return a === null || b === null || b === 0 ? null : a % b;
+            }
+            case '$abs': {
+                const [a] = numbers();
+                return a === null ? null : Math.abs(a);
+            }
+            case '$round': {
+                const [a, places = 0] = numbers();
+                if (a === null) return null;
+                const factor = Math.pow(10, places);
+                return Math.round(a * factor) / factor;
+            }
+            case '$concat':
+                return values.some(v => v === null || v === undefined)
+                    ? null
+                    : values.map(v => String(v)).join('');
+            case '$toUpper':
+                return values[0] == null ? '' : String(values[0]).toUpperCase();
+            case '$toLower':
+                return values[0] == null ? '' : String(values[0]).toLowerCase();
+            case '$size':
+                if (!Array.isArray(values[0])) throw new Error('$size requires an array');
+                return values[0].length;
+            case '$ifNull':
+                return values.find(v => v !== null && v !== undefined) ?? null;
+            case '$eq':
+                return this.compareOrder(values[0], values[1]) === 0;
+            case '$ne':
+                return this.compareOrder(values[0], values[1]) !== 0;
+            case '$gt':
+                return this.compareOrder(values[0], values[1]) > 0;
+            case '$gte':
+                return this.compareOrder(values[0], values[1]) >= 0;
+            case '$lt':
+                return this.compareOrder(values[0], values[1]) < 0;
+            case '$lte':
+                return this.compareOrder(values[0], values[1]) <= 0;
+            case '$cmp':
+                return this.compareOrder(values[0], values[1]);
+            case '$not':
+                return !this._truthy(values[0]);
+            case '$in':
+                if (!Array.isArray(values[1])) throw new Error('$in requires an array as its second argument');
+                return values[1].some(v => this.compareOrder(v, values[0]) === 0);
+            case '$substr':
+            case '$substrCP': {
+                const [str, startAt = 0, length] = values;
+                if (typeof str !== 'string') return '';
+                return length === undefined || length < 0 ? str.substr(startAt) : str.substr(startAt, length);
+            }
+            case '$strLenCP':
+                return typeof values[0] === 'string' ? [...values[0]].length : null;
+            case '$trim': {
+                const { input, chars } = values[0] || {};
+                if (typeof input !== 'string') return null;
+                if (chars === undefined) return input.trim();
+                const set = [...String(chars)];
+                let startAt = 0;
+                let end = input.length;
+                while (startAt < end && set.includes(input[startAt])) startAt++;
+                while (end > startAt && set.includes(input[end - 1])) end--;
+                return input.slice(startAt, end);
+            }
+            case '$split':
+                return typeof values[0] === 'string' && typeof values[1] === 'string'
+                    ? values[0].split(values[1])
+                    : null;
+            case '$indexOfCP':
+                return typeof values[0] === 'string' && typeof values[1] === 'string'
+                    ? values[0].indexOf(values[1])
+                    : null;
+            default:
+                throw new Error(`Unknown expression operator: ${op}`);
+        }
+    }
+
+    // Aggregation truthiness: false, 0, null and missing are false, anything else ('' included) true
+    _truthy(value) {
+        return value !== false && value !== 0 && value !== null && value !== undefined;
+    }
+
+    /**
+     * Runs an aggregation pipeline over `data`. Stages never modify the
+     * documents they receive; reshaping stages produce new objects.
+     * `context.resolveJoin(from, foreignField, values)` supplies documents
+     * of other collections to $lookup, as a Map of value to documents.
+     */
+    aggregate(data, pipeline, context = {}) {
+        let docs = data;
+
+        for (const stage of pipeline) {
+            const [name] = Object.keys(stage);
+            const spec = stage[name];
+
+            switch (name) {
+                case '$match':
+                    docs = docs.filter(doc => this.matchesFilter(doc, spec));
+                    break;
+
+                case '$group':
+                    docs = this._groupStage(docs, spec);
+                    break;
+
+                case '$project':
+                    docs = docs.map(doc => this._projectDocument(doc, spec));
+                    break;
+
+                case '$sort':
+                    docs = this.sortResults([...docs], spec);
+                    break;
+
+                case '$skip':
+                    docs = docs.slice(spec);
+                    break;
+
+                case '$limit':
+                    docs = docs.slice(0, spec);
+                    break;
+
+                case '$unwind':
+                    docs = this._unwindStage(docs, spec);
+                    break;
+
+                case '$count':
+                    docs = [{ [spec]: docs.length }];
+                    break;
+
+                case '$lookup':
+                    docs = this._lookupStage(docs, spec, context);
+                    break;
+
+                default:
+                    throw new Error(`Unknown pipeline stage: ${name}`);
+            }
+        }
+
+        return docs;
+    }
+
+    _groupStage(docs, spec) {
+        const { _id: idExpr, ...accumulators } = spec;
+        const groups = new Map();
+
+        for (const doc of docs) {
+            const id = this.evaluateExpression(idExpr === undefined ? null : idExpr, doc);
+            const key = JSON.stringify(id === undefined ? null : id);
+
+            if (!groups.has(key)) {
+                groups.set(key, { _id: id === undefined ? null : id, docs: [] });
+            }
+            groups.get(key).docs.push(doc);
+        }
+
+        return [...groups.values()].map(group => {
+            const result = { _id: group._id };
+
+            for (const [field, accumulator] of Object.entries(accumulators)) {
+                const [op] = Object.keys(accumulator);
+                const values = group.docs.map(doc => this.evaluateExpression(accumulator[op], doc));
+                result[field] = this._accumulate(op, values);
+            }
+
+            return result;
+        });
+    }
+
+    _accumulate(op, values) {
+        const present = values.filter(v => v !== undefined && v !== null);
+        const numbers = present.filter(v => typeof v === 'number');
+
+        switch (op) {
+            case '$sum':
+                return numbers.reduce((a, b) => a + b, 0);
+            case '$avg':
+                return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+            case '$min':
+                return present.reduce((min, v) => (min === null || this.compareOrder(v, min) < 0 ? v : min), null);
+            case '$max':
+                return present.reduce((max, v) => (max === null || this.compareOrder(v, max) > 0 ? v : max), null);
+            case '$push':
+                return values.map(v => (v === undefined ? null : v));
+            case '$addToSet': {
+                const seen = new Map();
+                for (const v of present) seen.set(JSON.stringify(v), v);
+                return [...seen.values()];
+            }
+            case '$first':
+                return values.length > 0 && values[0] !== undefined ? values[0] : null;
+            case '$last':
+                return values.length > 0 && values[values.length - 1] !== undefined ? values[values.length - 1] : null;
+            default:
+                throw new Error(`Unknown accumulator: ${op}`);
+        }
+    }
+
+    // 1/true keeps a field, 0/false drops it, anything else is an expression
+    _projectDocument(doc, spec) {
+        const entries = Object.entries(spec);
+        const excludeOnly = entries.every(([, v]) => v === 0 || v === false);
+
+        if (excludeOnly) {
+            const result = JSON.parse(JSON.stringify(doc));
+            for (const [field] of entries) this._removeFieldByPath(result, field);
+            return result;
+        }
+
+        let result = {};
+        for (const [field, value] of entries) {
+            if (value === 0 || value === false) {
+                if (field === 'id') continue;
+                throw new Error(`Cannot exclude "${field}" in an inclusion projection`);
+            }
+
+            const projected = value === 1 || value === true
+                ? this.getValue(doc, field)
+                : this.evaluateExpression(value, doc);
+
+            if (projected !== undefined) result = this._withValue(result, field, projected);
+        }
+
+        return result;
+    }
+
+    // Values of `field` in `docs`, with arrays flattened and duplicates removed
+    collectJoinValues(docs, field) {
+        const values = new Set();
+        for (const doc of docs) {
+            const value = this.getValue(doc, field);
+            if (Array.isArray(value)) value.forEach(v => values.add(v));
+            else if (value !== undefined) values.add(value);
+        }
+        return [...values];
+    }
+
+    _lookupStage(docs, spec, context) {
+        const { from, localField, foreignField, as } = spec;
+        if (!from || !localField || !foreignField || !as) {
+            throw new Error('$lookup requires from, localField, foreignField and as');
+        }
+        if (!context.resolveJoin) {
+            throw new Error('$lookup is not available in this context');
+        }
+
+        const matches = context.resolveJoin(from, foreignField, this.collectJoinValues(docs, localField));
+
+        return docs.map(doc => {
+            const value = this.getValue(doc, localField);
+            const locals = Array.isArray(value) ? value : [value];
+            const joined = new Set();
+
+            for (const local of locals) {
+                for (const match of matches.get(local) || []) joined.add(match);
+            }
+
+            return { ...doc, [as]: [...joined] };
+        });
+    }
+
+    _unwindStage(docs, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        const field = options.path.replace(/^\$/, '');
+        const results = [];
+
+        for (const doc of docs) {
+            const value = this.getValue(doc, field);
+
+            if (!Array.isArray(value) || value.length === 0) {
+                if (options.preserveNullAndEmptyArrays) {
+                    let kept = Array.isArray(value) ? this._withValue(doc, field, undefined) : doc;
+                    if (options.includeArrayIndex) kept = { ...kept, [options.includeArrayIndex]: null };
+                    results.push(kept);
+                } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                    // A scalar is unwound as a one-element array
+                    results.push(options.includeArrayIndex ? { ...doc, [options.includeArrayIndex]: null } : doc);
+                }
+                continue;
+            }
+
+            value.forEach((element, i) => {
+                const unwound = this._withValue(doc, field, element);
+                if (options.includeArrayIndex) unwound[options.includeArrayIndex] = i;
+                results.push(unwound);
+            });
+        }
+
+        return results;
+    }
+
     applyUpdateToDoc(doc, update) {
         if (!update) return;
 
@@ -441,15 +1255,335 @@ class QueryEngine {
     }
 }
 
-class HTTPAdapter {
-    constructor(opts = {}) {
-        this.poolSize = opts.poolSize || 10;
-        this.requestQueue = [];
-        this.activeRequests = 0;
-        this.maxRetries = opts.maxRetries || 3;
-        this.timeout = opts.timeout || 15000;
+// Operator names understood by QueryEngine, used to validate filters and
+// by the shell's autocompletion
+QueryEngine.OPERATORS = {
+    query: ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+        '$exists', '$type', '$regex', '$options', '$mod', '$elemMatch', '$all', '$size', '$expr', '$text',
+        '$near', '$maxDistance', '$minDistance', '$geoWithin', '$geometry', '$centerSphere', '$box', '$polygon', '$and', '$or', '$nor', '$not'],
+    update: ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet', '$each'],
+    stages: ['$match', '$group', '$project', '$sort', '$skip', '$limit', '$unwind', '$count', '$lookup'],
+    accumulators: ['$sum', '$avg', '$min', '$max', '$push', '$addToSet', '$first', '$last'],
+    expressions: ['$literal', '$add', '$subtract', '$multiply', '$divide', '$mod', '$abs', '$round',
+        '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$cmp', '$and', '$or', '$not', '$in', '$cond', '$ifNull',
+        '$concat', '$toUpper', '$toLower', '$substr', '$substrCP', '$strLenCP', '$trim', '$split', '$indexOfCP', '$size']
+};
+
+QueryEngine.ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+QueryEngine.BSON_TYPES = { 1: 'double', 2: 'string', 3: 'object', 4: 'array', 8: 'bool', 9: 'date', 10: 'null', 11: 'regex', 16: 'int', 18: 'long', 19: 'decimal' };
+
+// Values a query can attach to its documents for { $meta: name } projections
+// and sorts, with the direction a $meta sort orders them in
+QueryEngine.META = { textScore: -1, geoNearDistance: 1 };
+
+// Mean Earth radius in meters, for $near distances and $centerSphere radians
+QueryEngine.EARTH_RADIUS = 6378100;
+
+// Stop words and suffix rules (first match wins) of the text index languages
+QueryEngine.TEXT_LANGUAGES = {
+    none: { stopWords: new Set(), suffixes: [] },
+    english: {
+        stopWords: new Set(('a an and are as at be been but by can did do does for from had has have he her his how i if in ' +
+            'into is it its me my no not of on or our she so than that the their them then there these they this to too ' +
+            'up us was we were what when where which while who why will with you your').split(' ')),
+        suffixes: [['sses', 'ss'], ['ies', 'y'], ['ss', 'ss'], ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'],
+            ['iveness', 'ive'], ['ments', ''], ['ment', ''], ['ness', ''], ['ings', ''], ['ing', ''], ['edly', ''],
+            ['ed', ''], ['ly', ''], ['s', '']]
+    },
+    french: {
+        stopWords: new Set(('a au aux avec ce ces dans de des du elle en est et il ils je la le les leur lui ma mais me meme ' +
+            'mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ta te tes toi ton tu un une vos ' +
+            'votre vous y c d j l m n s t').split(' ')),
+        suffixes: [['issements', ''], ['issement', ''], ['ements', ''], ['ement', ''], ['ations', ''], ['ation', ''],
+            ['euses', 'eux'], ['euse', 'eux'], ['ives', 'if'], ['ive', 'if'], ['aux', 'al'], ['es', ''], ['s', ''],
+            ['x', ''], ['e', '']]
+    }
+};
+
+// JSON-Schema-style document validation. Supported keywords: type, enum,
+// required, properties, additionalProperties, items, minimum, maximum,
+// minLength, maxLength, minItems, maxItems and pattern.
+class SchemaValidator {
+    constructor() {
+        this.types = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+        this.keywords = [
+            'type', 'enum', 'required', 'properties', 'additionalProperties', 'items',
+            'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems',
+            'pattern', 'description'
+        ];
+        // Managed by the database, always allowed at the top level
+        this.systemFields = ['id', 'createdAt', 'updatedAt'];
+    }
+
+    /**
+     * Returns the problems of a schema definition itself, as
+     * `{ path, message }` entries (empty when the schema is usable).
+     */
+    check(schema, path = '', problems = []) {
+        const at = path || '(root)';
+
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            problems.push({ path: at, message: 'schema must be an object' });
+            return problems;
+        }
+
+        for (const key of Object.keys(schema)) {
+            if (!this.keywords.includes(key)) {
+                problems.push({ path: at, message: `unknown keyword "${key}"` });
+            }
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            for (const type of types) {
+                if (!this.types.includes(type)) {
+                    problems.push({ path: at, message: `unknown type "${type}"` });
+                }
+            }
+        }
+
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+            problems.push({ path: at, message: 'enum must be an array' });
+        }
+
+        if (schema.required !== undefined &&
+            (!Array.isArray(schema.required) || !schema.required.every(f => typeof f === 'string'))) {
+            problems.push({ path: at, message: 'required must be an array of field names' });
+        }
+
+        for (const key of ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems']) {
+            if (schema[key] !== undefined && typeof schema[key] !== 'number') {
+                problems.push({ path: at, message: `${key} must be a number` });
+            }
+        }
+
+        if (schema.pattern !== undefined) {
+            try {
+                new RegExp(schema.pattern);
+            } catch (e) {
+                problems.push({ path: at, message: `invalid pattern: ${e.message}` });
+            }
+        }
+
+        if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+            this.check(schema.additionalProperties, this._join(path, '*'), problems);
+        }
+
+        if (schema.properties !== undefined) {
+            if (!schema.properties || typeof schema.properties !== 'object') {
+                problems.push({ path: at, message: 'properties must be an object' });
+            } else {
+                for (const [field, sub] of Object.entries(schema.properties)) {
+                    this.check(sub, this._join(path, field), problems);
+                }
+            }
+        }
+
+        if (schema.items !== undefined) {
+            this.check(schema.items, this._join(path, '[]'), problems);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Validates a document and returns every violation as `{ path, message }`.
+     */
+    validate(schema, doc) {
+        const errors = [];
+        this._validateValue(schema, doc, '', errors, true);
+        return errors;
+    }
+
+    _validateValue(schema, value, path, errors, isRoot = false) {
+        const at = path || '(root)';
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this._isType(value, type))) {
+                errors.push({ path: at, message: `must be of type ${types.join(' or ')}, got ${this._typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(allowed => this._equals(allowed, value))) {
+            errors.push({ path: at, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path: at, message: `must be at least ${schema.minLength} characters long` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path: at, message: `must be at most ${schema.maxLength} characters long` });
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path: at, message: `must contain at most ${schema.maxItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, i) => this._validateValue(schema.items, item, this._join(path, i), errors));
+            }
+            return;
+        }
+
+        if (value === null || typeof value !== 'object') return;
+
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                errors.push({ path: this._join(path, field), message: 'is required' });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (fieldValue === undefined) continue;
+
+            if (properties[field]) {
+                this._validateValue(properties[field], fieldValue, this._join(path, field), errors);
+            } else if (isRoot && this.systemFields.includes(field)) {
+                continue;
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: this._join(path, field), message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                this._validateValue(schema.additionalProperties, fieldValue, this._join(path, field), errors);
+            }
+        }
+    }
+
+    _isType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return false;
+        }
+    }
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    _equals(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    _join(path, key) {
+        return path ? `${path}.${key}` : String(key);
+    }
+}
+
+/**
+ * Stream of change events returned by `Collection.watch()`. Emits 'change'
+ * for every matching write, then 'error' and/or 'close' when it ends, and
+ * can also be consumed with `for await`. Each event carries a `token` that
+ * `watch()` accepts as `resumeAfter` to pick up after it.
+ */
+class ChangeStream extends EventEmitter {
+    constructor() {
+        super();
+        this.token = null;
+        this.closed = false;
+        this._onClose = [];
+    }
+
+    _push(event) {
+        process.nextTick(() => {
+            if (this.closed) return;
+            this.token = event.token;
+            this.emit('change', event);
+        });
+    }
+
+    _fail(error) {
+        process.nextTick(() => {
+            if (this.closed) return;
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            } else {
+                console.error(`[LiekoDB] CHANGE_STREAM ERROR: ${error.message}`);
+            }
+            this.close();
+        });
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this._onClose.forEach(fn => fn());
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator]() {
+        const queue = [];
+        const waiting = [];
+        let failure = null;
+
+        this.on('change', event => {
+            if (waiting.length > 0) waiting.shift().resolve({ value: event, done: false });
+            else queue.push(event);
+        });
+        this.on('error', error => {
+            failure = error;
+            waiting.splice(0).forEach(w => w.reject(error));
+        });
+        this.once('close', () => {
+            waiting.splice(0).forEach(w => w.resolve({ value: undefined, done: true }));
+        });
+
+        return {
+            next: () => {
+                if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+                if (failure) return Promise.reject(failure);
+                if (this.closed) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+            },
+            return: () => {
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
+
+class HTTPAdapter {
+    constructor(opts = {}) {
+        this.poolSize = opts.poolSize || 10;
+        this.requestQueue = [];
+        this.activeRequests = 0;
+        this.maxRetries = opts.maxRetries || 3;
+        this.timeout = opts.timeout || 15000;
         this.databaseUrl = opts.databaseUrl || "http://127.0.0.1:8050";
         this.token = opts.token || null;
+        // Requests are logged unless `debug: false` is passed explicitly
+        this.logRequests = opts.debug !== false;
         this.parsedBaseUrl = new URL(this.databaseUrl);
         this.isHttps = this.parsedBaseUrl.protocol === "https:";
         this.hostname = this.parsedBaseUrl.hostname === 'localhost' ? '127.0.0.1' : this.parsedBaseUrl.hostname;
@@ -482,6 +1616,8 @@ class HTTPAdapter {
             this.baseHeaders.Authorization = `Bearer ${this.token}`;
         }
 
+        this.streams = new Set();
+
         if (opts.warmup !== false) {
             this._warmupConnection();
         }
@@ -564,12 +1700,21 @@ class HTTPAdapter {
     }
 
     async _execute(req) {
-        const pathname = `/api${req.endpoint}`;
+        let pathname = `/api${req.endpoint}`;
 
         const body = (req.method !== "GET" && req.method !== "HEAD")
             ? JSON.stringify(req.data)
             : null;
 
+        // GET requests carry their payload as JSON-encoded query parameters
+        if (!body && req.data && Object.keys(req.data).length > 0) {
+            const query = new URLSearchParams();
+            for (const [key, value] of Object.entries(req.data)) {
+                if (value !== undefined) query.set(key, JSON.stringify(value));
+            }
+            pathname += `?${query}`;
+        }
+
         const headers = Object.assign({}, this.baseHeaders);
 
         if (body) {
@@ -628,7 +1773,8 @@ class HTTPAdapter {
 
                     this._log(req, start, size, res.statusCode);
 
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                    // Error envelopes are results, like with the local adapter
+                    if ((res.statusCode >= 200 && res.statusCode < 300) || (parsed && typeof parsed === 'object' && 'success' in parsed)) {
                         resolve(parsed);
                     } else {
                         console.error("HTTP Error:", req.method, req.endpoint, res.statusCode, parsed);
@@ -639,6 +1785,131 @@ class HTTPAdapter {
         });
     }
 
+    /**
+     * Opens GET /api/collections/:name/watch as a server-sent events stream
+     * (`id: <token>` + `data: <event json>`, `event: error` for failures).
+     * Reconnects with the last received token when the connection drops.
+     */
+    watch(name, filter = {}, options = {}) {
+        const stream = new ChangeStream();
+        const transport = this.isHttps ? https : http;
+        let token = options.resumeAfter || null;
+        let request = null;
+        let retries = 0;
+
+        const connect = () => {
+            if (stream.closed) return;
+
+            const query = new URLSearchParams();
+            if (Object.keys(filter).length > 0) query.set('filter', JSON.stringify(filter));
+            if (token) query.set('resumeAfter', token);
+            const search = query.toString();
+
+            let ended = false;
+            const finish = (err) => {
+                if (ended) return;
+                ended = true;
+                reconnect(err);
+            };
+
+            request = transport.request({
+                method: 'GET',
+                hostname: this.hostname,
+                port: this.parsedBaseUrl.port,
+                path: `/api/collections/${name}/watch${search ? `?${search}` : ''}`,
+                headers: Object.assign({}, this.baseHeaders, { Accept: 'text/event-stream' }),
+                // Long-lived: kept out of the request pool
+                agent: false
+            });
+
+            request.on('error', finish);
+
+            request.on('response', res => {
+                res.setEncoding('utf8');
+
+                if (res.statusCode !== 200) {
+                    let body = '';
+                    res.on('data', c => body += c);
+                    res.on('end', () => {
+                        ended = true;
+                        let message = body;
+                        try {
+                            const parsed = JSON.parse(body);
+                            message = parsed.error?.message || parsed.error || body;
+                        } catch (e) { }
+                        stream._fail(new Error(`HTTP ${res.statusCode}: ${message}`));
+                    });
+                    return;
+                }
+
+                retries = 0;
+                let buffer = '';
+
+                res.on('data', chunk => {
+                    buffer += chunk;
+
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const frame = buffer.slice(0, boundary).split('\n');
+                        buffer = buffer.slice(boundary + 2);
+
+                        const type = frame.find(line => line.startsWith('event:'))?.slice(6).trim() || 'change';
+                        const data = frame
+                            .filter(line => line.startsWith('data:'))
+                            .map(line => line.slice(5).trimStart())
+                            .join('\n');
+                        if (!data) continue;
+
+                        let payload;
+                        try {
+                            payload = JSON.parse(data);
+                        } catch (e) {
+                            continue;
+                        }
+
+                        if (type === 'error') {
+                            ended = true;
+                            const error = new Error(payload.message || 'Change stream error');
+                            error.code = payload.code;
+                            error.type = payload.type;
+                            stream._fail(error);
+                            request.destroy();
+                            return;
+                        }
+
+                        token = payload.token;
+                        stream._push(payload);
+                    }
+                });
+
+                res.on('end', () => finish());
+                res.on('error', finish);
+                res.on('close', () => finish());
+            });
+
+            request.end();
+        };
+
+        const reconnect = (err) => {
+            if (stream.closed) return;
+            if (retries >= this.maxRetries) {
+                stream._fail(err || new Error('Change stream disconnected'));
+                return;
+            }
+            retries++;
+            setTimeout(connect, 200 * retries);
+        };
+
+        this.streams.add(stream);
+        stream._onClose.push(() => {
+            this.streams.delete(stream);
+            if (request) request.destroy();
+        });
+
+        connect();
+        return stream;
+    }
+
     _retryable(err) {
         if (!err || !err.message) return false;
         return (
@@ -650,6 +1921,8 @@ class HTTPAdapter {
     }
 
     _log(req, start, size, status, error = null) {
+        if (!this.logRequests) return;
+
         const ms = Math.round((performance.now() - start) * 1000) / 1000;
         const op = req.endpoint.split("/")[2]?.toUpperCase() || "REQUEST";
 
@@ -664,7 +1937,130 @@ class HTTPAdapter {
         }
     }
 
+    // Raw request whose body and response are streamed, for archives
+    _streamRequest(method, endpoint, query = {}, body = null) {
+        const search = new URLSearchParams();
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined) search.set(key, JSON.stringify(value));
+        }
+        const qs = search.toString();
+
+        return new Promise((resolve, reject) => {
+            const request = (this.isHttps ? https : http).request({
+                method,
+                hostname: this.hostname,
+                port: this.parsedBaseUrl.port,
+                path: `/api${endpoint}${qs ? `?${qs}` : ''}`,
+                headers: Object.assign({}, this.baseHeaders, { 'Content-Type': 'application/x-ndjson' }),
+                agent: false
+            });
+
+            request.on('error', reject);
+            request.on('response', resolve);
+
+            if (body) {
+                body.on('error', err => request.destroy(err));
+                body.pipe(request);
+            } else {
+                request.end();
+            }
+        });
+    }
+
+    async _readEnvelope(res) {
+        const chunks = [];
+        for await (const chunk of res) chunks.push(chunk);
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            return { success: false, data: null, error: { message: `HTTP ${res.statusCode}`, code: res.statusCode } };
+        }
+    }
+
+    /**
+     * Downloads a backup archive of the remote database into a directory
+     * (as `liekodb-backup-<timestamp>.ndjson`) or a writable stream.
+     */
+    async backup(target) {
+        try {
+            const res = await this._streamRequest('POST', '/backup');
+            if (res.statusCode !== 200) return this._readEnvelope(res);
+
+            if (typeof target !== 'string') {
+                await pipeline(res, target);
+                return { success: true, data: { path: null }, error: null };
+            }
+
+            await fs.mkdir(target, { recursive: true });
+            const filePath = path.join(target, `liekodb-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`);
+            await pipeline(res, fsSync.createWriteStream(`${filePath}.tmp`));
+            await fs.rename(`${filePath}.tmp`, filePath);
+
+            return { success: true, data: { path: filePath }, error: null };
+
+        } catch (error) {
+            return { success: false, data: null, error: { message: error.message || 'Failed to download backup', code: 500 } };
+        }
+    }
+
+    async restore(source, options = {}) {
+        try {
+            const input = typeof source === 'string'
+                ? fsSync.createReadStream(await LocalAdapter._resolveBackupFile(source))
+                : source;
+
+            const res = await this._streamRequest('POST', '/restore', options, input);
+            return this._readEnvelope(res);
+
+        } catch (error) {
+            return {
+                success: false,
+                data: null,
+                error: { message: error.message || 'Failed to upload backup', code: Number.isInteger(error.code) ? error.code : 500 }
+            };
+        }
+    }
+
+    /**
+     * Yields the matching documents of a remote collection in pages of
+     * `batchSize`, fetched with skip/limit as each batch is requested.
+     */
+    async *cursor(name, { filters = {}, fields = null, batchSize = 1000 } = {}) {
+        for (let skip = 0; ; skip += batchSize) {
+            const response = await this.request('GET', `/collections/${name}`, {
+                filters,
+                options: { skip, limit: batchSize, ...(fields ? { fields } : {}) }
+            });
+
+            if (!response.success) {
+                if (response.error?.code === 404) return;
+                const error = new Error(response.error?.message || 'Request failed');
+                error.code = response.error?.code;
+                throw error;
+            }
+
+            if (response.data.length > 0) yield response.data;
+            if (response.data.length < batchSize) return;
+        }
+    }
+
+    async listCollections() {
+        const response = await this.request('GET', '/collections');
+        return response.data;
+    }
+
+    async dropCollection(name) {
+        return this.request('DELETE', `/collections/${name}/drop`);
+    }
+
+    async status() {
+        const response = await this.request('GET', '/status');
+        return response.data;
+    }
+
     close() {
+        this.streams.forEach(stream => stream.close());
         this.httpAgent.destroy();
         this.httpsAgent.destroy();
     }
@@ -674,6 +2070,7 @@ class LocalAdapter {
     constructor(opts = {}) {
         this.storagePath = opts.storagePath || './storage';
         this.queryEngine = new QueryEngine();
+        this.schemaValidator = new SchemaValidator();
         this.debug = opts.debug || false;
 
         this.collections = new Map();
@@ -681,11 +2078,60 @@ class LocalAdapter {
         this.isSaving = new Set();
         this.saveDelay = opts.saveDelay || 100;
 
+        // 'json' rewrites <name>.json on every save, 'journal' appends each
+        // write to <name>.log and only rewrites the snapshot on compaction
+        this.storageMode = opts.storageMode || 'json';
+        this.journal = {
+            maxSize: 16 * 1024 * 1024, // log bytes before compaction
+            maxRatio: 1,               // log records per document before compaction
+            ...opts.journal
+        };
+
+        // 'none'      debounced saves, no fsync
+        // 'debounced' debounced saves, fsynced file and directory (default)
+        // 'sync'      writes resolve only once their data is fsynced
+        this.durability = opts.durability || 'debounced';
+        if (!['none', 'debounced', 'sync'].includes(this.durability)) {
+            throw new Error(`Invalid durability: "${this.durability}". Expected 'none', 'debounced' or 'sync'`);
+        }
+
+        // 'salvage' keeps a copy of a corrupt file and loads what can be read,
+        // 'strict' refuses to load it
+        this.recovery = opts.recovery || 'salvage';
+        this.recovered = [];
+
+        // Field-level encryption keys, derived from `encryptionKey` and only
+        // ever held in memory
+        this.encryptionKeys = opts.encryptionKey ? this._deriveEncryptionKeys(opts.encryptionKey) : null;
+
+        // Collection files can be compressed and/or encrypted instead of
+        // indented JSON. Files in any format are read whatever these are.
+        this.compression = opts.compression || 'none';
+        if (!['none', 'gzip', 'brotli'].includes(this.compression)) {
+            throw new Error(`Invalid compression: "${this.compression}". Expected 'none', 'gzip' or 'brotli'`);
+        }
+        this.encryptFiles = opts.encryptFiles === true;
+        if (this.encryptFiles && !this.encryptionKeys) {
+            throw new Error('encryptFiles requires an encryptionKey');
+        }
+
+        // Change events are only recorded once something watches. The last
+        // `changeHistory` of them are kept so watchers can resume from a token.
+        this.watchers = new Set();
+        this.trackingChanges = false;
+        this.changeSeq = 0;
+        this.changeHistory = [];
+        this.changeHistorySize = opts.changeHistory || 1000;
+        this.changeStreamId = crypto.randomBytes(4).toString('hex');
+
         this.collectionName = null;
 
         try {
             fsSync.mkdirSync(this.storagePath, { recursive: true });
         } catch (e) { }
+
+        this._recoverTempFiles();
+        this._recoverTransaction();
     }
 
     _log(...args) {
@@ -765,7 +2211,14 @@ class LocalAdapter {
     }
 
     generateId() {
-        return require('crypto').randomBytes(8).toString('hex');
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    // Whether `name` is loaded or has a snapshot or journal on disk
+    _collectionExists(name) {
+        return this.collections.has(name) ||
+            fsSync.existsSync(path.join(this.storagePath, `${name}.json`)) ||
+            fsSync.existsSync(this._journalPath(name));
     }
 
     listCollections() {
@@ -782,7 +2235,10 @@ class LocalAdapter {
 
         try {
             const files = fsSync.readdirSync(this.storagePath);
-            const diskCollections = files.filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json'));
+            const diskCollections = files
+                .filter(f => f.endsWith('.json'))
+                .map(f => path.basename(f, '.json'))
+                .filter(name => !name.includes('.'));
             diskCollections.forEach(name => {
                 collections.add(name);
             });
@@ -800,42 +2256,323 @@ class LocalAdapter {
             data: [],
             dirty: false,
             lastSave: 0,
+            writeSeq: 0,
+            durableSeq: 0,
+            saving: null,
+            saveError: null,
             idIndex: new Map(),
-            indexes: new Map()
+            indexes: new Map(),
+            schema: null,
+            encryptedFields: [],
+            rewrite: false,
+            pendingLog: [],
+            logRecords: 0,
+            logBytes: 0,
+            snapshotHash: null
         };
         this.collections.set(name, col);
 
         const filePath = path.join(this.storagePath, `${name}.json`);
         if (fsSync.existsSync(filePath)) {
+            let raw;
             try {
-                const raw = fsSync.readFileSync(filePath, 'utf8');
-                const data = JSON.parse(raw) || [];
-                col.data = data;
+                raw = fsSync.readFileSync(filePath);
+            } catch (e) {
+                this.collections.delete(name);
+                throw new Error(`Failed to read collection "${name}": ${e.message}`);
+            }
 
-                data.forEach((doc, idx) => {
-                    if (doc.id) col.idIndex.set(doc.id, idx);
-                });
+            let content;
+            try {
+                content = this._decodeFile(raw, `${name}.json`);
+            } catch (e) {
+                // A missing or different key is not corruption, and there is no
+                // JSON text to salvage from a file that fails to decompress or
+                // authenticate: never replace it with an empty collection
+                this.collections.delete(name);
+                if (e.code === 'EKEY') throw e;
+                throw new Error(`Failed to decode collection "${name}": ${e.message}`);
+            }
 
+            try {
+                col.data = JSON.parse(content) || [];
+                col.snapshotHash = this._hashContent(content);
                 col.lastSave = Date.now();
             } catch (e) {
-                console.error("Failed to load collection:", e);
+                col.data = this._recoverCorruptFile(name, filePath, content, e);
             }
         }
-        return col;
-    }
-
-    _scheduleSave(name) {
-        const col = this.collections.get(name);
-        if (!col) return;
 
-        col.dirty = true;
-
-        if (this.saveQueue.has(name)) {
-            clearTimeout(this.saveQueue.get(name));
+        // A log is replayed whatever the current storage mode, so switching
+        // a journaled storage back to 'json' never loses writes
+        try {
+            this._replayJournal(name, col);
+        } catch (e) {
+            this.collections.delete(name);
+            throw e;
         }
 
-        const timeout = setTimeout(async () => {
-            await this._flushToDisk(name);
+        this._loadEncryption(name, col);
+        if (col.encryptedFields.length > 0) {
+            if (!this.encryptionKeys) {
+                this.collections.delete(name);
+                throw new Error(`Collection "${name}" has encrypted fields: an encryptionKey is required`);
+            }
+            try {
+                col.data = col.data.map(doc => this._decryptDocument(col, doc));
+            } catch (e) {
+                this.collections.delete(name);
+                throw new Error(`Failed to decrypt collection "${name}": ${e.message}`);
+            }
+        }
+
+        col.data.forEach((doc, idx) => {
+            if (doc.id) col.idIndex.set(doc.id, idx);
+        });
+
+        this._loadIndexDefinitions(name, col);
+        this._loadSchema(name, col);
+        return col;
+    }
+
+    _journalPath(name) {
+        return path.join(this.storagePath, `${name}.log`);
+    }
+
+    _hashContent(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    _encodesFiles() {
+        return this.compression !== 'none' || this.encryptFiles;
+    }
+
+    _stringifyDocuments(docs) {
+        return this._encodesFiles() ? JSON.stringify(docs) : JSON.stringify(docs, null, 2);
+    }
+
+    /**
+     * Turns the JSON text of a collection into the bytes written to disk.
+     * Encoded files start with a header: "LKDB", a version byte and a flags
+     * byte (1 gzip, 2 brotli, 4 encrypted), then for encrypted files the key
+     * id, IV and GCM tag. Plain JSON is written as is.
+     */
+    async _encodeFile(content) {
+        if (!this._encodesFiles()) return content;
+
+        let payload = Buffer.from(content, 'utf8');
+        let flags = 0;
+
+        if (this.compression === 'gzip') {
+            payload = await gzip(payload);
+            flags |= 1;
+        } else if (this.compression === 'brotli') {
+            payload = await brotliCompress(payload);
+            flags |= 2;
+        }
+
+        if (!this.encryptFiles) {
+            return Buffer.concat([LocalAdapter.FILE_MAGIC, Buffer.from([1, flags]), payload]);
+        }
+
+        const header = Buffer.concat([LocalAdapter.FILE_MAGIC, Buffer.from([1, flags | 4]), this.encryptionKeys.id]);
+        return Buffer.concat([header, this._seal(header, payload)]);
+    }
+
+    _decodeFile(raw, file) {
+        const magic = LocalAdapter.FILE_MAGIC;
+        if (raw.length < magic.length + 2 || !raw.subarray(0, magic.length).equals(magic)) {
+            return raw.toString('utf8');
+        }
+
+        const flags = raw[magic.length + 1];
+        let payload = raw.subarray(magic.length + 2);
+
+        if (flags & 4) {
+            const header = raw.subarray(0, magic.length + 6);
+            this._checkKeyId(header.subarray(magic.length + 2), file);
+            payload = this._unseal(header, raw.subarray(header.length), file);
+        }
+
+        if (flags & 1) payload = zlib.gunzipSync(payload);
+        if (flags & 2) payload = zlib.brotliDecompressSync(payload);
+
+        return payload.toString('utf8');
+    }
+
+    _checkKeyId(keyId, file) {
+        let message = null;
+        if (!this.encryptionKeys) {
+            message = `"${file}" is encrypted: an encryptionKey is required`;
+        } else if (!keyId.equals(this.encryptionKeys.id)) {
+            message = `"${file}" was encrypted with a different encryptionKey`;
+        }
+
+        if (message) {
+            const error = new Error(message);
+            error.code = 'EKEY';
+            throw error;
+        }
+    }
+
+    // AES-256-GCM with the file key: iv | tag | ciphertext
+    _seal(aad, payload) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKeys.file, iv);
+        cipher.setAAD(aad);
+        const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    _unseal(aad, sealed, file) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKeys.file, sealed.subarray(0, 12));
+        decipher.setAAD(aad);
+        decipher.setAuthTag(sealed.subarray(12, 28));
+
+        try {
+            return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+        } catch (e) {
+            throw new Error(`"${file}" is damaged: authentication failed`);
+        }
+    }
+
+    // With encryptFiles, each journal line is "~" + base64(key id | sealed record)
+    _encodeLogLine(json) {
+        if (!this.encryptFiles) return json;
+        const keyId = this.encryptionKeys.id;
+        return '~' + Buffer.concat([keyId, this._seal(keyId, Buffer.from(json, 'utf8'))]).toString('base64');
+    }
+
+    _parseLogLine(line, file) {
+        if (!line.startsWith('~')) return JSON.parse(line);
+
+        const raw = Buffer.from(line.slice(1), 'base64');
+        this._checkKeyId(raw.subarray(0, 4), file);
+        return JSON.parse(this._unseal(raw.subarray(0, 4), raw.subarray(4), file).toString('utf8'));
+    }
+
+    /**
+     * Applies the records of <name>.log on top of the snapshot just loaded.
+     * A log starts with a `base` record naming the hash of the snapshot it
+     * extends. When the snapshot was rewritten since (a crash between a
+     * compaction or transaction commit and the log removal), the log is
+     * already part of it and is dropped instead of replayed.
+     */
+    _replayJournal(name, col) {
+        const logPath = this._journalPath(name);
+        if (!fsSync.existsSync(logPath)) return;
+
+        try {
+            let raw = fsSync.readFileSync(logPath, 'utf8');
+            const docs = new Map(col.data.map(doc => [doc.id ?? Symbol(), doc]));
+            let records = 0;
+
+            // A tail without its newline is a torn append. Cut it off, or
+            // terminate it if it happens to be complete, so the next append
+            // starts on a line of its own.
+            const lastNewline = raw.lastIndexOf('\n');
+            const tail = raw.slice(lastNewline + 1);
+            if (tail.trim()) {
+                let complete = false;
+                try {
+                    this._parseLogLine(tail, `${name}.log`);
+                    complete = true;
+                } catch (e) {
+                    if (e.code === 'EKEY') throw e;
+                }
+
+                if (complete) {
+                    fsSync.appendFileSync(logPath, '\n');
+                    raw += '\n';
+                } else {
+                    raw = raw.slice(0, lastNewline + 1);
+                    fsSync.truncateSync(logPath, Buffer.byteLength(raw));
+                    this.recovered.push({ file: `${name}.log`, action: 'truncated', at: Date.now() });
+                    console.warn(`[LiekoDB] Discarded a torn record at the end of ${name}.log`);
+                }
+            }
+
+            const lines = raw.split('\n');
+
+            let base = null;
+            try {
+                base = this._parseLogLine(lines[0], `${name}.log`);
+            } catch (e) {
+                if (e.code === 'EKEY') throw e;
+            }
+
+            if (base && base.op === 'base' && col.snapshotHash && base.hash !== col.snapshotHash) {
+                fsSync.rmSync(logPath, { force: true });
+                this.recovered.push({ file: `${name}.log`, action: 'discarded', at: Date.now() });
+                this._log(`Discarded ${name}.log: already folded into ${name}.json`);
+                return;
+            }
+
+            for (const line of lines) {
+                if (!line.trim()) continue;
+
+                let record;
+                try {
+                    record = this._parseLogLine(line, `${name}.log`);
+                } catch (e) {
+                    if (e.code === 'EKEY') throw e;
+                    console.warn(`[LiekoDB] Skipping unreadable record in ${name}.log`);
+                    continue;
+                }
+                if (record.op === 'base') continue;
+
+                if (record.op === 'delete') {
+                    docs.delete(record.id);
+                } else {
+                    docs.set(record.doc.id, record.doc);
+                }
+                records++;
+            }
+
+            col.data = [...docs.values()];
+            col.logRecords = records;
+            col.logBytes = Buffer.byteLength(raw);
+
+            this._log(`Replayed ${records} record(s) from ${name}.log`);
+        } catch (e) {
+            if (e.code === 'EKEY') throw e;
+            console.error("Failed to replay journal:", e);
+        }
+    }
+
+    // Queues journal records for the next flush; a no-op in 'json' mode
+    _journalWrite(col, op, docs) {
+        if (this.storageMode !== 'journal') return;
+
+        for (const doc of docs) {
+            col.pendingLog.push(op === 'delete' ? { op, id: doc.id } : { op, doc });
+        }
+    }
+
+    // Called after every write; in 'sync' durability the returned promise
+    // settles once the write is on disk
+    _scheduleSave(name) {
+        const col = this.collections.get(name);
+        if (!col) return;
+
+        col.dirty = true;
+        col.writeSeq++;
+        this.queryEngine.clearCache();
+
+        if (this.durability === 'sync') {
+            return this._flushNow(name);
+        }
+
+        this._scheduleFlush(name);
+    }
+
+    _scheduleFlush(name) {
+        if (this.saveQueue.has(name)) {
+            clearTimeout(this.saveQueue.get(name));
+        }
+
+        const timeout = setTimeout(async () => {
+            await this._flushToDisk(name);
         }, this.saveDelay);
 
         this.saveQueue.set(name, timeout);
@@ -850,214 +2587,1788 @@ class LocalAdapter {
         this.isSaving.add(name);
         this.saveQueue.delete(name);
 
-        try {
-            const filePath = path.join(this.storagePath, `${name}.json`);
-            const tempPath = `${filePath}.tmp`;
+        const seq = col.writeSeq;
+        let done;
+        col.saving = new Promise(resolve => { done = resolve; });
 
-            const reorderedRecords = col.data.map(doc => this._reorderDocumentFields(doc));
-
-            await fs.writeFile(tempPath, JSON.stringify(reorderedRecords, null, 2));
-            await fs.rename(tempPath, filePath);
+        try {
+            if (this.storageMode === 'journal' && !col.rewrite) {
+                await this._appendJournal(name, col);
+            } else {
+                col.rewrite = false;
+                await this._writeSnapshot(name, col);
+            }
 
-            this._log(`Saved ${name}.json (${col.data.length} docs)`);
             col.lastSave = Date.now();
-            col.dirty = false;
+            col.durableSeq = seq;
+            col.saveError = null;
+
+            // Writes made while saving were not part of this flush
+            col.dirty = col.writeSeq !== seq;
+            if (col.dirty) {
+                this._scheduleFlush(name);
+            }
 
         } catch (error) {
             this._log('Save error:', error);
+            col.saveError = error;
             col.dirty = true;
-            this._scheduleSave(name);
+            this._scheduleFlush(name);
         } finally {
             this.isSaving.delete(name);
+            col.saving = null;
+            done();
         }
     }
 
-    _reorderDocumentFields(doc) {
-        if (!doc || typeof doc !== 'object') return doc;
+    /**
+     * Flushes `name` right away and resolves once every write made before
+     * the call is on disk, waiting for an in-flight save if there is one.
+     * Rejects with the underlying error when the save fails.
+     */
+    async _flushNow(name) {
+        const col = this.collections.get(name);
+        if (!col) return;
 
-        const orderedDoc = {};
-        const reservedFields = ['id', 'createdAt', 'updatedAt'];
+        const target = col.writeSeq;
 
-        if (doc.id !== undefined) {
-            orderedDoc.id = doc.id;
+        if (this.saveQueue.has(name)) {
+            clearTimeout(this.saveQueue.get(name));
+            this.saveQueue.delete(name);
         }
 
-        const normalFields = Object.keys(doc)
-            .filter(key => !reservedFields.includes(key))
-            .sort();
+        while (col.dirty && col.durableSeq < target) {
+            if (col.saving) {
+                await col.saving;
+                continue;
+            }
 
-        for (const key of normalFields) {
-            orderedDoc[key] = doc[key];
-        }
+            await this._flushToDisk(name);
 
-        if (doc.createdAt !== undefined) {
-            orderedDoc.createdAt = doc.createdAt;
+            if (col.durableSeq < target) {
+                throw col.saveError || new Error(`Failed to save collection "${name}"`);
+            }
         }
-        if (doc.updatedAt !== undefined) {
-            orderedDoc.updatedAt = doc.updatedAt;
+    }
+
+    // Writes through a temp file and a rename so readers never see a
+    // half-written file; fsyncs both unless durability is 'none'
+    async _writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+
+        try {
+            await handle.writeFile(content);
+            if (this.durability !== 'none') await handle.sync();
+        } finally {
+            await handle.close();
         }
 
-        return orderedDoc;
+        await fs.rename(tempPath, filePath);
+        await this._syncDirectory();
     }
 
-    _updateIndexesOnInsert(col, doc, docIdx) {
-        for (const index of col.indexes.values()) {
-            let node = index.map;
+    async _syncDirectory() {
+        if (this.durability === 'none') return;
+
+        let handle;
+        try {
+            handle = await fs.open(this.storagePath, 'r');
+            await handle.sync();
+        } catch (e) {
+            // Directories cannot be fsynced on every platform (Windows)
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    /**
+     * A leftover <file>.tmp means a save was interrupted between writing the
+     * temp file and renaming it. A temp file that parses is the newest
+     * complete save and replaces its target; a torn one is discarded.
+     */
+    _recoverTempFiles() {
+        let files;
+        try {
+            files = fsSync.readdirSync(this.storagePath);
+        } catch (e) {
+            return;
+        }
+
+        for (const file of files.filter(f => f.endsWith('.tmp'))) {
+            const tempPath = path.join(this.storagePath, file);
+            const targetPath = tempPath.slice(0, -'.tmp'.length);
 
-            for (let i = 0; i < index.fields.length; i++) {
-                const value = doc[index.fields[i]];
-                if (value === undefined) return;
+            let complete = false;
+            try {
+                JSON.parse(this._decodeFile(fsSync.readFileSync(tempPath), file));
+                complete = true;
+            } catch (e) {
+                if (e.code === 'EKEY') {
+                    console.warn(`[LiekoDB] Left ${file} in place: ${e.message}`);
+                    continue;
+                }
+            }
 
-                if (!node.has(value)) {
-                    node.set(value, i === index.fields.length - 1 ? [] : new Map());
+            try {
+                if (complete) {
+                    fsSync.renameSync(tempPath, targetPath);
+                } else {
+                    fsSync.unlinkSync(tempPath);
                 }
-                node = node.get(value);
+            } catch (e) {
+                console.error(`[LiekoDB] Failed to recover ${file}:`, e.message);
+                continue;
             }
 
-            node.push(docIdx);
+            const action = complete ? 'promoted' : 'discarded';
+            this.recovered.push({ file, action, at: Date.now() });
+            console.warn(`[LiekoDB] Recovered interrupted save: ${file} ${action}`);
         }
     }
 
-    _removeFromIndex(index, doc, docIdx) {
-        let node = index.map;
-        const path = [];
+    _recoverCorruptFile(name, filePath, raw, error) {
+        if (this.recovery === 'strict') {
+            this.collections.delete(name);
+            throw new Error(`Collection "${name}" is corrupt: ${error.message}`);
+        }
 
-        for (let i = 0; i < index.fields.length; i++) {
-            const field = index.fields[i];
-            const value = doc[field];
+        const backupPath = `${filePath}.corrupt-${Date.now()}`;
+        fsSync.copyFileSync(filePath, backupPath);
 
-            if (value === undefined || !node.has(value)) {
-                return;
+        const docs = this._salvageDocuments(raw);
+
+        this.recovered.push({
+            file: path.basename(filePath),
+            action: 'salvaged',
+            documents: docs.length,
+            backup: path.basename(backupPath),
+            error: error.message,
+            at: Date.now()
+        });
+        console.warn(
+            `[LiekoDB] ${name}.json is corrupt (${error.message}). ` +
+            `Salvaged ${docs.length} document(s), original kept as ${path.basename(backupPath)}`
+        );
+
+        // Persist the salvaged state so the corrupt file gets replaced
+        const col = this.collections.get(name);
+        col.dirty = true;
+        col.writeSeq++;
+        this._scheduleFlush(name);
+
+        return docs;
+    }
+
+    // Recovers the complete documents at the head of a truncated JSON array
+    _salvageDocuments(raw) {
+        let end = raw.lastIndexOf('}');
+
+        for (let attempts = 0; end !== -1 && attempts < 1000; attempts++) {
+            try {
+                const docs = JSON.parse(raw.slice(0, end + 1) + ']');
+                if (Array.isArray(docs)) return docs;
+            } catch (e) { }
+            end = raw.lastIndexOf('}', end - 1);
+        }
+
+        return [];
+    }
+
+    async _writeSnapshot(name, col) {
+        const filePath = path.join(this.storagePath, `${name}.json`);
+
+        // Pending records are part of this snapshot; anything queued while
+        // it is being written stays queued for the next flush
+        const reorderedRecords = col.data.map(doc => this._serializeDocument(col, doc));
+        const content = this._stringifyDocuments(reorderedRecords);
+        col.pendingLog = [];
+
+        await this._writeFileAtomic(filePath, await this._encodeFile(content));
+        col.snapshotHash = this._hashContent(content);
+
+        if (col.logRecords > 0 || fsSync.existsSync(this._journalPath(name))) {
+            await fs.rm(this._journalPath(name), { force: true });
+            await this._syncDirectory();
+            col.logRecords = 0;
+            col.logBytes = 0;
+        }
+
+        this._log(`Saved ${name}.json (${col.data.length} docs)`);
+    }
+
+    async _appendJournal(name, col) {
+        const snapshotExists = fsSync.existsSync(path.join(this.storagePath, `${name}.json`));
+        const { maxSize, maxRatio } = this.journal;
+
+        if (!snapshotExists || !col.snapshotHash) {
+            return this._writeSnapshot(name, col);
+        }
+
+        const records = col.pendingLog;
+        col.pendingLog = [];
+        if (records.length === 0) return;
+
+        const created = col.logBytes === 0;
+        let lines = records.map(record => this._encodeLogLine(JSON.stringify(
+            record.doc ? { op: record.op, doc: this._serializeDocument(col, record.doc) } : record
+        ))).join('\n') + '\n';
+
+        if (created) {
+            lines = this._encodeLogLine(JSON.stringify({ op: 'base', hash: col.snapshotHash })) + '\n' + lines;
+        }
+
+        try {
+            const handle = await fs.open(this._journalPath(name), 'a');
+            try {
+                await handle.appendFile(lines);
+                if (this.durability !== 'none') await handle.sync();
+            } finally {
+                await handle.close();
             }
+            if (created) await this._syncDirectory();
+        } catch (error) {
+            col.pendingLog = records.concat(col.pendingLog);
+            throw error;
+        }
 
-            path.push([node, value]);
-            node = node.get(value);
+        col.logRecords += records.length;
+        col.logBytes += Buffer.byteLength(lines);
+        this._log(`Appended ${records.length} record(s) to ${name}.log`);
+
+        if (col.logBytes >= maxSize || col.logRecords >= col.data.length * maxRatio) {
+            this._log(`Compacting ${name}.log (${col.logRecords} records, ${this._formatBytes(col.logBytes)})`);
+            await this._writeSnapshot(name, col);
         }
+    }
 
-        if (Array.isArray(node)) {
-            const pos = node.indexOf(docIdx);
-            if (pos !== -1) {
-                node.splice(pos, 1);
-
-                if (node.length === 0) {
-                    for (let i = path.length - 1; i >= 0; i--) {
-                        const [parentNode, key] = path[i];
-                        if (i === path.length - 1) {
-                            parentNode.delete(key);
-                        } else {
-                            const child = parentNode.get(key);
-                            if (child.size === 0) {
-                                parentNode.delete(key);
-                            } else {
-                                break;
-                            }
-                        }
-                    }
-                }
+    _serializeDocument(col, doc) {
+        const ordered = this._reorderDocumentFields(doc);
+        return col.encryptedFields && col.encryptedFields.length > 0
+            ? this._encryptDocument(col, ordered)
+            : ordered;
+    }
+
+    _deriveEncryptionKeys(key) {
+        let raw = key;
+        if (typeof key === 'string') {
+            raw = /^[0-9a-fA-F]{64}$/.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+        }
+        if (!Buffer.isBuffer(raw) || raw.length !== 32) {
+            throw new Error('encryptionKey must be 32 bytes: a Buffer, a 64-character hex string or a base64 string');
+        }
+
+        const derive = (purpose) => crypto.createHmac('sha256', raw).update(`liekodb:${purpose}`).digest();
+        return { cipher: derive('cipher'), iv: derive('iv'), file: derive('file'), id: derive('key-id').subarray(0, 4) };
+    }
+
+    _encryptionFilePath(name) {
+        return path.join(this.storagePath, `${name}.encryption.json`);
+    }
+
+    // Only field names live in <name>.encryption.json, never the key
+    async _saveEncryption(name, fields) {
+        const filePath = this._encryptionFilePath(name);
+
+        if (fields.length === 0) {
+            try {
+                await fs.unlink(filePath);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
             }
+            return;
         }
+
+        await this._writeFileAtomic(filePath, JSON.stringify({ fields }, null, 2));
     }
 
-    async request(method, endpoint, payload = {}) {
-        const parts = endpoint.split("/").filter(Boolean);
-        // Payload can contains filters, options, data, update
+    _loadEncryption(name, col) {
+        const filePath = this._encryptionFilePath(name);
+        if (!fsSync.existsSync(filePath)) return;
 
-        this.collectionName = parts[1];
-        const param = parts[2];
+        try {
+            col.encryptedFields = JSON.parse(fsSync.readFileSync(filePath, 'utf8')).fields || [];
+        } catch (e) {
+            throw new Error(`Failed to read encryption settings of "${name}": ${e.message}`);
+        }
+    }
+
+    // AES-256-GCM over the JSON of the value, authenticated with the field
+    // path. Deterministic fields derive their IV from the value, so equal
+    // values give equal ciphertexts; other fields use a random IV.
+    _encryptValue(field, value, deterministic) {
+        const plaintext = JSON.stringify(value);
+        const iv = deterministic
+            ? crypto.createHmac('sha256', this.encryptionKeys.iv).update(`${field}\0${plaintext}`).digest().subarray(0, 12)
+            : crypto.randomBytes(12);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKeys.cipher, iv);
+        cipher.setAAD(Buffer.from(field));
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return { $encrypted: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64') };
+    }
+
+    _decryptValue(field, value) {
+        const raw = Buffer.from(value.$encrypted, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKeys.cipher, raw.subarray(0, 12));
+        decipher.setAAD(Buffer.from(field));
+        decipher.setAuthTag(raw.subarray(12, 28));
+
+        try {
+            const plaintext = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+            return JSON.parse(plaintext);
+        } catch (e) {
+            throw new Error(`cannot decrypt "${field}" (wrong encryptionKey or tampered data)`);
+        }
+    }
+
+    _isEncryptedValue(value) {
+        return value !== null && typeof value === 'object' && typeof value.$encrypted === 'string';
+    }
+
+    // Returns `doc` with `fn` applied to the value at a dot path, copying
+    // only the objects along that path
+    _mapField(doc, fieldPath, fn) {
+        const [head, ...rest] = fieldPath.split('.');
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc) || doc[head] === undefined) return doc;
+
+        const value = rest.length > 0 ? this._mapField(doc[head], rest.join('.'), fn) : fn(doc[head]);
+        return value === doc[head] ? doc : { ...doc, [head]: value };
+    }
+
+    _encryptDocument(col, doc) {
+        return col.encryptedFields.reduce((current, { field, deterministic }) => this._mapField(
+            current, field,
+            value => this._isEncryptedValue(value) ? value : this._encryptValue(field, value, deterministic)
+        ), doc);
+    }
+
+    // Values still in plain text (written before the field was encrypted)
+    // are left as they are
+    _decryptDocument(col, doc) {
+        return col.encryptedFields.reduce((current, { field }) => this._mapField(
+            current, field,
+            value => this._isEncryptedValue(value) ? this._decryptValue(field, value) : value
+        ), doc);
+    }
+
+    _reorderDocumentFields(doc) {
+        if (!doc || typeof doc !== 'object') return doc;
+
+        const orderedDoc = {};
+        const reservedFields = ['id', 'createdAt', 'updatedAt'];
+
+        if (doc.id !== undefined) {
+            orderedDoc.id = doc.id;
+        }
+
+        const normalFields = Object.keys(doc)
+            .filter(key => !reservedFields.includes(key))
+            .sort();
+
+        for (const key of normalFields) {
+            orderedDoc[key] = doc[key];
+        }
+
+        if (doc.createdAt !== undefined) {
+            orderedDoc.createdAt = doc.createdAt;
+        }
+        if (doc.updatedAt !== undefined) {
+            orderedDoc.updatedAt = doc.updatedAt;
+        }
+
+        return orderedDoc;
+    }
+
+    _indexName(indexDef) {
+        return Object.keys(indexDef).map(f => `${f}:${indexDef[f]}`).join('|');
+    }
+
+    _indexDefinition(index) {
+        return Object.fromEntries(index.fields.map((f, i) => [f, index.orders[i]]));
+    }
+
+    _indexOptions(index) {
+        const options = {};
+        if (index.unique) options.unique = true;
+        if (index.sparse) options.sparse = true;
+        if (index.type === 'text') {
+            options.language = index.language;
+            options.weights = index.weights;
+            if (!index.stemming) options.stemming = false;
+            if (index.stopWords !== true) options.stopWords = index.stopWords;
+        }
+        if (index.type === '2dsphere') options.cellSize = index.cellSize;
+        return options;
+    }
+
+    _indexesFilePath(name) {
+        return path.join(this.storagePath, `${name}.indexes.json`);
+    }
+
+    _buildIndex(col, fields, orders, options = {}) {
+        const index = {
+            fields,
+            orders,
+            unique: options.unique === true,
+            sparse: options.sparse === true,
+            map: new Map(),
+            multikey: false,
+            sortedKeys: new WeakMap()
+        };
+
+        // A text index maps each term of its fields to the documents holding it
+        if (orders.includes('text')) {
+            Object.assign(index, {
+                type: 'text',
+                language: options.language || 'english',
+                stemming: options.stemming !== false,
+                stopWords: options.stopWords === undefined ? true : options.stopWords,
+                weights: Object.fromEntries(fields.map(f => [f, (options.weights && options.weights[f]) || 1]))
+            });
+        } else if (orders.includes('2dsphere')) {
+            // A 2dsphere index maps grid cells of cellSize degrees to the points inside them
+            Object.assign(index, { type: '2dsphere', cellSize: options.cellSize || 0.1 });
+        }
+
+        col.data.forEach((doc, docIdx) => this._addToIndex(index, doc, docIdx));
+        return index;
+    }
+
+    // Index definitions live in <name>.indexes.json, next to the data file
+    async _saveIndexDefinitions(name) {
+        const col = this.collections.get(name);
+        const filePath = this._indexesFilePath(name);
+
+        const definitions = col
+            ? [...col.indexes].map(([indexName, index]) => ({
+                name: indexName,
+                index: this._indexDefinition(index),
+                options: this._indexOptions(index)
+            }))
+            : [];
+
+        if (definitions.length === 0) {
+            try {
+                await fs.unlink(filePath);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+            return;
+        }
+
+        await this._writeFileAtomic(filePath, JSON.stringify(definitions, null, 2));
+    }
+
+    _loadIndexDefinitions(name, col) {
+        const filePath = this._indexesFilePath(name);
+        if (!fsSync.existsSync(filePath)) return;
+
+        try {
+            const definitions = JSON.parse(fsSync.readFileSync(filePath, 'utf8')) || [];
+
+            for (const def of definitions) {
+                const fields = Object.keys(def.index);
+                const orders = fields.map(f => def.index[f]);
+                const index = this._buildIndex(col, fields, orders, def.options);
+                col.indexes.set(def.name || this._indexName(def.index), index);
+            }
+
+            this._log(`Rebuilt ${definitions.length} index(es) for ${name}`);
+        } catch (e) {
+            console.error("Failed to load indexes:", e);
+        }
+    }
+
+    _schemaFilePath(name) {
+        return path.join(this.storagePath, `${name}.schema.json`);
+    }
+
+    async _saveSchema(name) {
+        const col = this.collections.get(name);
+        const filePath = this._schemaFilePath(name);
+
+        if (!col || !col.schema) {
+            try {
+                await fs.unlink(filePath);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+            return;
+        }
+
+        await this._writeFileAtomic(filePath, JSON.stringify(col.schema, null, 2));
+    }
+
+    _loadSchema(name, col) {
+        const filePath = this._schemaFilePath(name);
+        if (!fsSync.existsSync(filePath)) return;
+
+        try {
+            col.schema = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            console.error("Failed to load schema:", e);
+        }
+    }
+
+    // Returns the violations of `docs` against the collection schema, each
+    // tagged with the position of its document when several are checked.
+    _validateDocuments(col, docs, batch = docs.length > 1) {
+        if (!col.schema) return [];
+
+        const errors = [];
+        docs.forEach((doc, i) => {
+            for (const violation of this.schemaValidator.validate(col.schema, doc)) {
+                errors.push(batch ? { index: i, id: doc.id, ...violation } : violation);
+            }
+        });
+        return errors;
+    }
+
+    _validationErrorResponse(errors) {
+        return {
+            success: false,
+            data: null,
+            error: {
+                message: `Document failed schema validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+                code: 400,
+                type: 'VALIDATION_ERROR',
+                errors
+            }
+        };
+    }
+
+    // Arrays are indexed under each of their elements (multikey), missing
+    // fields under `undefined`, so every document appears in every index
+    // except sparse ones, which skip documents missing all indexed fields.
+    _getIndexKeys(index, doc) {
+        if (index.type === 'text') {
+            const terms = new Set(index.fields.flatMap(field =>
+                this.queryEngine.tokenize(this.queryEngine.textValue(doc, field), index)
+            ));
+            return { tuples: [...terms].map(term => [term]), multikey: false };
+        }
+        if (index.type === '2dsphere') {
+            const point = this.queryEngine.toPoint(this.queryEngine.getValue(doc, index.fields[0]));
+            return { tuples: point ? [[this._geoCell(index, point)]] : [], multikey: false };
+        }
+
+        let tuples = [[]];
+        let multikey = false;
+        let present = false;
+
+        for (const field of index.fields) {
+            const value = this.queryEngine.getValue(doc, field);
+            let values = [value];
+            if (value !== undefined) present = true;
+
+            if (Array.isArray(value)) {
+                multikey = true;
+                values = value.length > 0 ? [...new Set(value)] : [undefined];
+            }
+
+            const next = [];
+            for (const tuple of tuples) {
+                for (const v of values) next.push([...tuple, v]);
+            }
+            tuples = next;
+        }
+
+        if (index.sparse && !present) return { tuples: [], multikey: false };
+        return { tuples, multikey };
+    }
+
+    _addToIndex(index, doc, docIdx) {
+        const { tuples, multikey } = this._getIndexKeys(index, doc);
+        if (multikey) index.multikey = true;
+
+        for (const keys of tuples) {
+            let node = index.map;
+
+            for (let i = 0; i < keys.length; i++) {
+                if (!node.has(keys[i])) {
+                    node.set(keys[i], i === keys.length - 1 ? [] : new Map());
+                    index.sortedKeys = new WeakMap();
+                }
+                node = node.get(keys[i]);
+            }
+
+            node.push(docIdx);
+        }
+    }
+
+    _updateIndexesOnInsert(col, doc, docIdx) {
+        for (const index of col.indexes.values()) {
+            this._addToIndex(index, doc, docIdx);
+        }
+    }
+
+    _removeFromIndex(index, doc, docIdx) {
+        const { tuples } = this._getIndexKeys(index, doc);
+
+        for (const keys of tuples) {
+            let node = index.map;
+            const path = [];
+
+            for (const key of keys) {
+                if (!node.has(key)) break;
+                path.push([node, key]);
+                node = node.get(key);
+            }
+
+            if (path.length !== keys.length || !Array.isArray(node)) continue;
+
+            const pos = node.indexOf(docIdx);
+            if (pos === -1) continue;
+            node.splice(pos, 1);
+
+            // Prune branches left empty, from the leaf upwards
+            for (let i = path.length - 1; i >= 0; i--) {
+                const [parentNode, key] = path[i];
+                const child = parentNode.get(key);
+                const isEmpty = Array.isArray(child) ? child.length === 0 : child.size === 0;
+                if (!isEmpty) break;
+                parentNode.delete(key);
+                index.sortedKeys = new WeakMap();
+            }
+        }
+    }
+
+    _updateIndexesOnRemove(col, doc, docIdx) {
+        for (const index of col.indexes.values()) {
+            this._removeFromIndex(index, doc, docIdx);
+        }
+    }
+
+    // Runs `mutate` on the document at docIdx while keeping every secondary
+    // index pointed at its new field values.
+    _mutateIndexed(col, docIdx, mutate) {
+        const doc = col.data[docIdx];
+        this._updateIndexesOnRemove(col, doc, docIdx);
+        try {
+            mutate(doc);
+        } finally {
+            this._updateIndexesOnInsert(col, doc, docIdx);
+        }
+    }
+
+    // After a splice at removedIdx, positions past it move down by one
+    _shiftIndexPositions(index, removedIdx) {
+        const depth = this._indexDepth(index);
+        const shift = (node, level) => {
+            if (level === depth) {
+                for (let i = 0; i < node.length; i++) {
+                    if (node[i] > removedIdx) node[i]--;
+                }
+                return;
+            }
+            for (const child of node.values()) shift(child, level + 1);
+        };
+        shift(index.map, 0);
+    }
+
+    _rebuildIndexes(col) {
+        col.idIndex.clear();
+        col.data.forEach((doc, idx) => {
+            if (doc.id) col.idIndex.set(doc.id, idx);
+        });
+
+        for (const index of col.indexes.values()) {
+            index.map = new Map();
+            index.multikey = false;
+            index.sortedKeys = new WeakMap();
+            col.data.forEach((doc, docIdx) => this._addToIndex(index, doc, docIdx));
+        }
+    }
+
+    _hasUniqueIndex(col) {
+        for (const index of col.indexes.values()) {
+            if (index.unique) return true;
+        }
+        return false;
+    }
+
+    _keyValue(index, keys) {
+        return Object.fromEntries(index.fields.map((f, i) => [f, keys[i] === undefined ? null : keys[i]]));
+    }
+
+    /**
+     * Looks for another document holding the same key as `doc` in one of the
+     * unique indexes. `docIdx` is the document's own position, or -1 when it
+     * is not stored yet.
+     */
+    _findUniqueConflict(col, doc, docIdx) {
+        for (const [name, index] of col.indexes) {
+            if (!index.unique) continue;
+
+            for (const keys of this._getIndexKeys(index, doc).tuples) {
+                let node = index.map;
+                for (const key of keys) {
+                    node = node.get(key);
+                    if (!node) break;
+                }
+                if (!Array.isArray(node)) continue;
+
+                const other = node.find(pos => pos !== docIdx);
+                if (other !== undefined) {
+                    return {
+                        index: name,
+                        keyValue: this._keyValue(index, keys),
+                        conflictingId: col.data[other]?.id
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    _duplicateKeyResponse(conflict) {
+        return {
+            success: false,
+            data: null,
+            error: {
+                message: `Duplicate key on unique index "${conflict.index}": ${JSON.stringify(conflict.keyValue)}`,
+                code: 409,
+                type: 'DUPLICATE_KEY',
+                index: conflict.index,
+                keyValue: conflict.keyValue,
+                conflictingId: conflict.conflictingId
+            }
+        };
+    }
+
+    _restoreDocument(col, docIdx, snapshot) {
+        this._mutateIndexed(col, docIdx, doc => {
+            for (const key of Object.keys(doc)) delete doc[key];
+            Object.assign(doc, snapshot);
+        });
+    }
+
+    // Levels of Maps above the position arrays: one per field, one for text and 2dsphere indexes
+    _indexDepth(index) {
+        return index.type ? 1 : index.fields.length;
+    }
+
+    _indexLeaves(index) {
+        const leaves = [];
+        const depth = this._indexDepth(index);
+
+        const walk = (node, keys) => {
+            if (keys.length === depth) {
+                leaves.push({ keys, positions: node });
+                return;
+            }
+            for (const [key, child] of node) walk(child, [...keys, key]);
+        };
+        walk(index.map, []);
+
+        return leaves;
+    }
+
+    _flattenIndex(index) {
+        const entries = new Map();
+        const describe = keys => keys
+            .map(k => k === undefined ? 'undefined' : `${typeof k}:${String(k)}`)
+            .join('|');
+
+        for (const { keys, positions } of this._indexLeaves(index)) {
+            for (const pos of positions) entries.set(`${describe(keys)}#${pos}`, { keys, position: pos });
+        }
+
+        return entries;
+    }
+
+
+    _sortedIndexKeys(index, node) {
+        let keys = index.sortedKeys.get(node);
+        if (!keys) {
+            // Array#sort always moves undefined to the end, so place it by hand
+            keys = [...node.keys()]
+                .filter(key => key !== undefined)
+                .sort((a, b) => this.queryEngine.compareOrder(a, b));
+            if (node.has(undefined)) keys.unshift(undefined);
+            index.sortedKeys.set(node, keys);
+        }
+        return keys;
+    }
+
+    _isIndexableValue(value) {
+        return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    }
+
+    /**
+     * Collects the predicates an index can narrow on: equality, $in and
+     * range conditions from the top level of the filter and from $and.
+     * Anything else is left to the residual matchesFilter pass.
+     */
+    _extractPredicates(filters, preds = {}) {
+        for (const [field, expected] of Object.entries(filters)) {
+            if (field === '$and' && Array.isArray(expected)) {
+                expected.forEach(f => f && typeof f === 'object' && this._extractPredicates(f, preds));
+                continue;
+            }
+            if (field.startsWith('$') || field in preds) continue;
+
+            if (this._isIndexableValue(expected)) {
+                preds[field] = { type: 'eq', values: [expected] };
+                continue;
+            }
+
+            if (!expected || typeof expected !== 'object' || Array.isArray(expected) || expected instanceof RegExp) {
+                continue;
+            }
+
+            if ('$eq' in expected && this._isIndexableValue(expected.$eq)) {
+                preds[field] = { type: 'eq', values: [expected.$eq] };
+            } else if (Array.isArray(expected.$in) && expected.$in.every(v => this._isIndexableValue(v))) {
+                preds[field] = { type: 'in', values: expected.$in };
+            } else if (Array.isArray(expected.$all) && this._isIndexableValue(expected.$all[0])) {
+                // Documents holding every value hold the first one
+                preds[field] = { type: 'eq', values: [expected.$all[0]] };
+            } else {
+                const ops = {};
+                for (const op of ['$gt', '$gte', '$lt', '$lte']) {
+                    if (['string', 'number'].includes(typeof expected[op]) || expected[op] instanceof Date) ops[op] = expected[op];
+                }
+                if (Object.keys(ops).length > 0) preds[field] = { type: 'range', ops };
+            }
+        }
+        return preds;
+    }
+
+    /**
+     * Picks the secondary index that narrows the filter the most and returns
+     * the positions in col.data of the matching documents. When the index can
+     * also produce `sort` order, positions come back already sorted.
+     * Returns null when no index applies and a full scan is needed.
+     */
+    _planQuery(col, filters, sort) {
+        if (filters && filters.$text !== undefined) return this._planTextQuery(col, filters);
+
+        // $near decides the order, so it wins over a $geoWithin on another field
+        const geoFields = filters ? Object.keys(filters).filter(field => this._isGeoCondition(filters[field])) : [];
+        const geoField = geoFields.find(field => '$near' in filters[field]) || geoFields[0];
+        if (geoField) {
+            const plan = this._planGeoQuery(col, filters, geoField);
+            if (plan) return plan;
+        }
+
+        if (col.indexes.size === 0) return null;
+
+        const preds = this._extractPredicates(filters || {});
+        const sortFields = sort && typeof sort === 'object' ? Object.keys(sort) : [];
+        let best = null;
+
+        for (const [key, index] of col.indexes) {
+            if (index.type) continue;
+
+            let used = 0;
+            let eqCount = 0;
+
+            for (const field of index.fields) {
+                const pred = preds[field];
+                if (!pred) break;
+                used++;
+                if (pred.type === 'eq' && eqCount === used - 1) eqCount++;
+                if (pred.type === 'range') break;
+            }
+
+            // A sparse index only lists every candidate when the filter
+            // already requires one of its fields to be present.
+            const sortField = index.fields[eqCount];
+            const sortable = sortFields.length === 1 &&
+                !index.multikey &&
+                (!index.sparse || used > 0) &&
+                sortField === sortFields[0] &&
+                used <= eqCount + 1;
+
+            const score = used * 2 + (sortable ? 1 : 0);
+            if (score > 0 && (!best || score > best.score)) {
+                best = { key, index, used, eqCount, sortable, score };
+            }
+        }
+
+        if (!best) return null;
+
+        const { index } = best;
+        let positions;
+
+        if (best.sortable) {
+            positions = this._walkIndexSorted(index, preds, best.eqCount, sort[sortFields[0]] === 1 ? 1 : -1);
+        } else {
+            const found = new Set();
+            this._walkIndex(index, index.map, 0, preds, best.used, found);
+            positions = [...found].sort((a, b) => a - b);
+        }
+
+        return {
+            index: best.key,
+            sorted: best.sortable,
+            scanned: positions.length,
+            positions: positions.filter(p => this.queryEngine.matchesFilter(col.data[p], filters))
+        };
+    }
+
+    /**
+     * Plans a `$text` filter: the text index yields the candidates and
+     * their scores, the other predicates then run on those documents.
+     * `meta` holds each position's { textScore }.
+     */
+    _planTextQuery(col, filters) {
+        const entry = [...col.indexes].find(([, index]) => index.type === 'text');
+        if (!entry) throw new Error('$text requires a text index on the collection');
+
+        const [key, index] = entry;
+        const { $text, ...rest } = filters;
+        const scores = this._textSearch(col, index, $text);
+
+        const positions = [...scores.keys()]
+            .sort((a, b) => a - b)
+            .filter(p => this.queryEngine.matchesFilter(col.data[p], rest));
+
+        return {
+            index: key,
+            sorted: false,
+            scanned: scores.size,
+            positions,
+            meta: new Map(positions.map(p => [p, { textScore: scores.get(p) }]))
+        };
+    }
+
+    /**
+     * Returns a Map of the positions matching `{ $search, $language }` to
+     * their relevance. A document matches when it holds any of the terms,
+     * every "quoted phrase" and none of the -negated terms. Each occurrence
+     * of a search term adds the field's weight times the term's inverse
+     * document frequency, scaled down by the square root of the field's
+     * length so short fields rank higher.
+     */
+    _textSearch(col, index, spec) {
+        if (!spec || typeof spec !== 'object' || typeof spec.$search !== 'string') {
+            throw new Error('$text requires a $search string');
+        }
+
+        const analyzer = spec.$language ? { ...index, language: spec.$language } : index;
+        const analyze = text => this.queryEngine.tokenize(text, analyzer);
+        const { terms, phrases, negated } = this.queryEngine.parseTextSearch(spec.$search);
+
+        const phraseTerms = [...new Set(phrases.flatMap(analyze))];
+        const searchTerms = [...new Set([...terms.flatMap(analyze), ...phraseTerms])];
+        const excluded = new Set(negated.flatMap(analyze).flatMap(term => index.map.get(term) || []));
+
+        // With phrases, only documents holding all of their terms can match
+        let candidates;
+        if (phraseTerms.length > 0) {
+            candidates = phraseTerms
+                .map(term => new Set(index.map.get(term) || []))
+                .reduce((acc, set) => new Set([...acc].filter(pos => set.has(pos))));
+        } else {
+            candidates = new Set(searchTerms.flatMap(term => index.map.get(term) || []));
+        }
+
+        const idf = new Map(searchTerms.map(term => {
+            const frequency = (index.map.get(term) || []).length;
+            return [term, frequency > 0 ? Math.log(1 + col.data.length / frequency) : 0];
+        }));
+
+        const scores = new Map();
+        for (const pos of candidates) {
+            if (excluded.has(pos)) continue;
+
+            const doc = col.data[pos];
+            const texts = index.fields.map(field => this.queryEngine.textValue(doc, field));
+            if (!phrases.every(phrase => texts.some(text => this.queryEngine.containsPhrase(text, phrase)))) continue;
+
+            let score = 0;
+            index.fields.forEach((field, i) => {
+                const fieldTerms = analyze(texts[i]);
+                let sum = 0;
+                for (const term of fieldTerms) {
+                    if (idf.has(term)) sum += idf.get(term);
+                }
+                if (sum > 0) score += index.weights[field] * sum / Math.sqrt(fieldTerms.length);
+            });
+
+            scores.set(pos, Math.round(score * 10000) / 10000);
+        }
+
+        return scores;
+    }
+
+    _isGeoCondition(condition) {
+        return condition !== null && typeof condition === 'object' &&
+            ('$near' in condition || '$geoWithin' in condition);
+    }
+
+    _geoCell(index, [lng, lat]) {
+        return `${Math.floor(lat / index.cellSize)}:${Math.floor(lng / index.cellSize)}`;
+    }
+
+    /**
+     * Plans a $near or $geoWithin condition on `field`. A 2dsphere index on
+     * the field narrows the candidates to the grid cells around the shape.
+     * $near results come back by increasing distance, with each position's
+     * { geoNearDistance } in `meta`; $near works without an index too,
+     * while $geoWithin without one is left to the regular planner.
+     */
+    _planGeoQuery(col, filters, field) {
+        const condition = filters[field];
+        const near = '$near' in condition ? this.queryEngine.nearSpec(condition) : null;
+        const shape = near ? { type: 'circle', ...near } : this.queryEngine.geoShape(condition.$geoWithin);
+
+        const entry = [...col.indexes].find(([, index]) => index.type === '2dsphere' && index.fields[0] === field);
+        if (!entry && !near) return null;
+
+        let candidates;
+        if (entry) {
+            const [, index] = entry;
+            const bounds = this.queryEngine.shapeBounds(shape);
+            const [minLat, minLng] = bounds ? this._geoCell(index, [bounds.minLng, bounds.minLat]).split(':').map(Number) : [];
+            const [maxLat, maxLng] = bounds ? this._geoCell(index, [bounds.maxLng, bounds.maxLat]).split(':').map(Number) : [];
+
+            candidates = [];
+            for (const [cell, positions] of index.map) {
+                const [lat, lng] = cell.split(':').map(Number);
+                if (!bounds || (lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng)) candidates.push(...positions);
+            }
+            candidates.sort((a, b) => a - b);
+        } else {
+            candidates = [...col.data.keys()];
+        }
+
+        const positions = candidates.filter(p => this.queryEngine.matchesFilter(col.data[p], filters));
+        let meta = null;
+
+        if (near) {
+            const distances = new Map(positions.map(p => [
+                p, this.queryEngine.geoDistance(this.queryEngine.toPoint(this.queryEngine.getValue(col.data[p], field)), near.center)
+            ]));
+            positions.sort((a, b) => distances.get(a) - distances.get(b));
+            meta = new Map(positions.map(p => [p, { geoNearDistance: distances.get(p) }]));
+        }
+
+        return {
+            index: entry ? entry[0] : null,
+            sorted: false,
+            scanned: candidates.length,
+            positions,
+            meta
+        };
+    }
+
+    _keyMatchesPredicate(index, pred, key) {
+        if (pred.type === 'range') {
+            // A multikey document matches when any element satisfies each bound
+            // separately, so only one bound can safely narrow the candidates.
+            const ops = index.multikey
+                ? Object.fromEntries([Object.entries(pred.ops)[0]])
+                : pred.ops;
+            return this.queryEngine.matchesOperators(key, ops);
+        }
+        return pred.values.includes(key);
+    }
+
+    _walkIndex(index, node, depth, preds, used, out) {
+        if (depth === index.fields.length) {
+            for (const pos of node) out.add(pos);
+            return;
+        }
+
+        if (depth >= used) {
+            for (const child of node.values()) this._walkIndex(index, child, depth + 1, preds, used, out);
+            return;
+        }
+
+        const pred = preds[index.fields[depth]];
+
+        if (pred.type === 'range') {
+            for (const [key, child] of node) {
+                if (this._keyMatchesPredicate(index, pred, key)) {
+                    this._walkIndex(index, child, depth + 1, preds, used, out);
+                }
+            }
+            return;
+        }
+
+        for (const value of pred.values) {
+            if (node.has(value)) this._walkIndex(index, node.get(value), depth + 1, preds, used, out);
+        }
+    }
+
+    _walkIndexSorted(index, preds, eqCount, direction) {
+        let node = index.map;
+
+        for (let i = 0; i < eqCount; i++) {
+            const value = preds[index.fields[i]].values[0];
+            if (!node.has(value)) return [];
+            node = node.get(value);
+        }
+
+        const pred = preds[index.fields[eqCount]];
+        let keys = this._sortedIndexKeys(index, node);
+        if (pred) keys = keys.filter(key => this._keyMatchesPredicate(index, pred, key));
+        if (direction === -1) keys = [...keys].reverse();
+
+        // Keys that compare equal (null and undefined) form one group whose
+        // positions keep collection order, like a stable in-memory sort.
+        const positions = [];
+        let group = new Set();
+        let groupKey;
+
+        const flush = () => {
+            positions.push(...[...group].sort((a, b) => a - b));
+            group = new Set();
+        };
+
+        for (let i = 0; i < keys.length; i++) {
+            if (i > 0 && this.queryEngine.compareOrder(keys[i], groupKey) !== 0) flush();
+            groupKey = keys[i];
+            this._walkIndex(index, node.get(keys[i]), eqCount + 1, preds, eqCount + 1, group);
+        }
+        flush();
+
+        return positions;
+    }
+
+    _findMatchingPositions(col, filters) {
+        const plan = this._planQuery(col, filters);
+        if (plan) return plan.positions;
+
+        const positions = [];
+        for (let i = 0; i < col.data.length; i++) {
+            if (this.queryEngine.matchesFilter(col.data[i], filters)) positions.push(i);
+        }
+        return positions;
+    }
+    /**
+     * Returns a ChangeStream of the writes to collection `name` whose
+     * document (the removed one for deletes) matches `filter`. With
+     * `options.resumeAfter`, the retained events after that token are
+     * replayed first; an error of type CHANGE_STREAM_HISTORY_LOST is emitted
+     * when they are no longer all available.
+     */
+    watch(name, filter = {}, options = {}) {
+        const stream = new ChangeStream();
+        const hasFilter = filter && Object.keys(filter).length > 0;
+
+        try {
+            this._validateFilter(filter);
+            if (hasFilter && '$text' in filter) {
+                throw new Error('$text filters need a text index and cannot be watched');
+            }
+        } catch (error) {
+            error.code = 400;
+            stream._fail(error);
+            return stream;
+        }
+
+        // Runs inside the write paths: a filter that throws on a document
+        // fails its own stream, never the write that emitted the event
+        const watcher = {
+            stream,
+            matches: event => {
+                if (event.collection !== name) return false;
+                if (!hasFilter || event.op === 'drop') return true;
+
+                try {
+                    return this.queryEngine.matchesFilter(event.doc || event.before, filter);
+                } catch (error) {
+                    error.code = 400;
+                    this.watchers.delete(watcher);
+                    stream._fail(error);
+                    return false;
+                }
+            }
+        };
+
+        this.trackingChanges = true;
+
+        if (options.resumeAfter) {
+            const [streamId, seq] = String(options.resumeAfter).split(':');
+            const after = Number(seq);
+            const oldest = this.changeHistory.length > 0 ? this.changeHistory[0].seq : this.changeSeq + 1;
+
+            if (streamId !== this.changeStreamId || !Number.isInteger(after) || after < oldest - 1 || after > this.changeSeq) {
+                const error = new Error('Cannot resume change stream: events after this token are no longer available');
+                error.code = 410;
+                error.type = 'CHANGE_STREAM_HISTORY_LOST';
+                stream._fail(error);
+                return stream;
+            }
+
+            this.changeHistory
+                .filter(event => event.seq > after && watcher.matches(event))
+                .forEach(event => stream._push(event));
+        }
+
+        this.watchers.add(watcher);
+        stream._onClose.push(() => this.watchers.delete(watcher));
+        return stream;
+    }
+
+    // `changes` are { doc, before } pairs, `before` being a copy taken ahead
+    // of the write (callers only take it when this.trackingChanges is set)
+    _emitChange(name, op, changes) {
+        if (!this.trackingChanges) return;
+
+        for (const { doc = null, before = null } of changes) {
+            const seq = ++this.changeSeq;
+            const event = {
+                token: `${this.changeStreamId}:${seq}`,
+                seq,
+                op,
+                collection: name,
+                id: (doc || before)?.id ?? null,
+                doc: doc ? JSON.parse(JSON.stringify(doc)) : null,
+                before: before ? JSON.parse(JSON.stringify(before)) : null,
+                ts: Date.now()
+            };
+
+            if (op === 'update' && event.doc && event.before) {
+                Object.assign(event, this._diffDocuments(event.before, event.doc));
+            }
+
+            this.changeHistory.push(event);
+            if (this.changeHistory.length > this.changeHistorySize) this.changeHistory.shift();
+
+            for (const watcher of this.watchers) {
+                if (watcher.matches(event)) watcher.stream._push(event);
+            }
+        }
+    }
+
+    _diffDocuments(before, after) {
+        const updatedFields = {};
+        const removedFields = [];
+
+        for (const [field, value] of Object.entries(after)) {
+            if (JSON.stringify(value) !== JSON.stringify(before[field])) updatedFields[field] = value;
+        }
+        for (const field of Object.keys(before)) {
+            if (!(field in after)) removedFields.push(field);
+        }
+
+        return { updatedFields, removedFields };
+    }
+
+    /**
+     * Yields the documents of collection `name` matching `filters` in
+     * batches of `batchSize`, projected through `fields`. The matches are
+     * resolved up front; documents are read as each batch is requested.
+     */
+    async *cursor(name, { filters = {}, fields = null, batchSize = 1000 } = {}) {
+        const col = this._getCollection(name);
+        const docs = this._findMatchingPositions(col, filters).map(p => col.data[p]);
+
+        for (let i = 0; i < docs.length; i += batchSize) {
+            const batch = docs.slice(i, i + batchSize);
+            yield fields ? this.queryEngine.selectFields(batch, fields) : batch;
+        }
+    }
+
+    async request(method, endpoint, payload = {}) {
+        const parts = endpoint.split("/").filter(Boolean);
+        // Payload can contains filters, options, data, update
+
+        this.collectionName = parts[1];
+        const param = parts[2];
+
+        if (method === "POST" && param === "indexes") {
+            return this.createIndex(payload.index, payload.options);
+        }
+        if (method === "GET" && param === "indexes" && parts[3] === "verify") {
+            return this.verifyIndexes();
+        }
+        if (method === "GET" && param === "indexes") return this.listIndexes();
+        if (method === "POST" && param === "aggregate") return this.aggregate(payload);
+        if (method === "DELETE" && param === "indexes") return this.dropIndex(payload.index);
+        if (method === "POST" && param === "schema") return this.setSchema(payload.schema);
+        if (method === "GET" && param === "schema") return this.getSchema();
+        if (method === "DELETE" && param === "schema") return this.setSchema(null);
+        if (method === "POST" && param === "encryption") return this.setEncryptedFields(payload.fields);
+        if (method === "GET" && param === "encryption") return this.getEncryptedFields();
+
+        if (method === "GET" && !param) return this.find(payload);
+        if (method === "GET" && param === "count") return this.count(payload);
+        if (method === "GET" && param === "paginate") return this.paginate(payload.filters, payload.options);
+        if (method === "GET" && param) return this.findById(param, payload.options);
+
+        if (method === "POST") return this.insert(payload);
+
+        if (method === "PATCH" && param) return this.updateById(param, payload);
+        if (method === "PATCH") return this.update(payload);
+
+        if (method === "DELETE" && param === "drop") return this.dropCollection();
+        if (method === "DELETE" && param) return this.deleteById(param);
+        if (method === "DELETE") return this.delete(payload);
+
+        throw new Error(`Unsupported endpoint: ${method} ${endpoint}`);
+    }
+
+    async createIndex(indexDef, options = {}) {
+        const name = this.collectionName;
+        this._log('Creation of index:', indexDef);
+        try {
+            const col = this._getCollection(name);
+
+            const fields = Object.keys(indexDef);
+            if (fields.length === 0) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: 'Index definition cannot be empty', code: 400 }
+                };
+            }
+
+            const orders = fields.map(f => indexDef[f]);
+            const type = orders.find(o => o === 'text' || o === '2dsphere');
+            if (type ? !orders.every(o => o === type) : !orders.every(o => o === 1 || o === -1)) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: "Index order must be 1 or -1, or 'text' or '2dsphere' for every field", code: 400 }
+                };
+            }
+
+            const problem = type === 'text' ? this._checkTextIndexOptions(col, fields, options)
+                : type === '2dsphere' ? this._checkGeoIndexOptions(fields, options)
+                : null;
+            if (problem) {
+                return { success: false, data: null, error: problem };
+            }
+
+            const indexKey = this._indexName(indexDef);
+            if (col.indexes.has(indexKey)) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: 'Index already exists', code: 409 }
+                };
+            }
+
+            const index = this._buildIndex(col, fields, orders, options);
+
+            if (index.unique) {
+                const offending = this._indexLeaves(index)
+                    .filter(leaf => leaf.positions.length > 1)
+                    .map(leaf => ({
+                        keyValue: this._keyValue(index, leaf.keys),
+                        ids: leaf.positions.map(pos => col.data[pos].id)
+                    }));
+
+                if (offending.length > 0) {
+                    return {
+                        success: false,
+                        data: null,
+                        error: {
+                            message: `Cannot create unique index "${indexKey}": ${offending.length} duplicate key(s) found`,
+                            code: 409,
+                            type: 'DUPLICATE_KEY',
+                            index: indexKey,
+                            duplicates: offending
+                        }
+                    };
+                }
+            }
+
+            col.indexes.set(indexKey, index);
+            await this._saveIndexDefinitions(name);
+
+            return {
+                success: true,
+                data: {
+                    name: indexKey,
+                    fields,
+                    orders,
+                    ...this._indexOptions(index),
+                    size: index.map.size
+                },
+                error: null
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to create index',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    _checkTextIndexOptions(col, fields, options) {
+        if ([...col.indexes.values()].some(index => index.type === 'text')) {
+            return { message: 'A collection can have only one text index', code: 409 };
+        }
+        if (options.unique || options.sparse) {
+            return { message: 'Text indexes cannot be unique or sparse', code: 400 };
+        }
+        if (options.language && !QueryEngine.TEXT_LANGUAGES[options.language]) {
+            return {
+                message: `Unsupported text language: ${options.language}. Valid languages: ${Object.keys(QueryEngine.TEXT_LANGUAGES).join(', ')}`,
+                code: 400
+            };
+        }
+
+        for (const [field, weight] of Object.entries(options.weights || {})) {
+            if (!fields.includes(field)) {
+                return { message: `Weight given for "${field}", which is not a field of the index`, code: 400 };
+            }
+            if (typeof weight !== 'number' || !(weight > 0)) {
+                return { message: `Weight of "${field}" must be a positive number`, code: 400 };
+            }
+        }
+        return null;
+    }
+
+    _checkGeoIndexOptions(fields, options) {
+        if (fields.length !== 1) {
+            return { message: 'A 2dsphere index covers exactly one field', code: 400 };
+        }
+        if (options.unique) {
+            return { message: '2dsphere indexes cannot be unique', code: 400 };
+        }
+        if (options.cellSize !== undefined && (typeof options.cellSize !== 'number' || !(options.cellSize > 0))) {
+            return { message: 'cellSize must be a positive number of degrees', code: 400 };
+        }
+        return null;
+    }
+
+    async listIndexes() {
+        const start = this._startTimer();
+
+        try {
+            const col = this._getCollection(this.collectionName);
+
+            const indexes = [...col.indexes].map(([name, index]) => ({
+                name,
+                fields: this._indexDefinition(index),
+                ...this._indexOptions(index),
+                size: index.map.size,
+                multikey: index.multikey
+            }));
+
+            const duration = this._endTimer(start);
+            this._logRequest('listIndexes', this.collectionName, `Indexes: ${indexes.length}`, duration, this._getDataSize(indexes));
+
+            return {
+                success: true,
+                data: indexes,
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] LIST_INDEXES ERROR: ${error.message}`);
+            this._logRequest('listIndexes', this.collectionName, `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to list indexes',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    async dropIndex(indexRef) {
+        const start = this._startTimer();
+        const name = this.collectionName;
+
+        try {
+            const col = this._getCollection(name);
+            const indexKey = typeof indexRef === 'string' ? indexRef : this._indexName(indexRef || {});
+
+            if (!col.indexes.has(indexKey)) {
+                const duration = this._endTimer(start);
+                this._logRequest('dropIndex', name, `Index: ${indexKey} | Not found`, duration);
+
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: `Index "${indexKey}" not found`, code: 404 }
+                };
+            }
+
+            col.indexes.delete(indexKey);
+            await this._saveIndexDefinitions(name);
+
+            const duration = this._endTimer(start);
+            this._logRequest('dropIndex', name, `Index: ${indexKey} | Dropped`, duration);
+
+            return {
+                success: true,
+                data: { dropped: true, name: indexKey },
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] DROP_INDEX ERROR: ${error.message}`);
+            this._logRequest('dropIndex', name, `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to drop index',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    /**
+     * Sets (or with `null` removes) the schema checked on every write of the
+     * current collection. Existing documents are not rewritten, the response
+     * only reports how many of them would fail validation.
+     */
+    async setSchema(schema) {
+        const start = this._startTimer();
+        const name = this.collectionName;
+
+        try {
+            const col = this._getCollection(name);
+
+            if (schema !== null && schema !== undefined) {
+                const problems = this.schemaValidator.check(schema);
+                if (problems.length > 0) {
+                    const duration = this._endTimer(start);
+                    this._logRequest('setSchema', name, `Invalid schema: ${problems.length} problem(s)`, duration);
+
+                    return {
+                        success: false,
+                        data: null,
+                        error: {
+                            message: `Invalid schema: ${problems.map(p => `${p.path} ${p.message}`).join('; ')}`,
+                            code: 400,
+                            errors: problems
+                        }
+                    };
+                }
+            }
 
-        if (method === "POST" && param === "indexes") {
-            return this.createIndex(payload.index);
-        }
+            col.schema = schema || null;
+            await this._saveSchema(name);
 
-        if (method === "GET" && !param) return this.find(payload);
-        if (method === "GET" && param === "count") return this.count(payload);
-        if (method === "GET" && param === "paginate") return this.paginate(payload.filters, payload.options);
-        if (method === "GET" && param) return this.findById(param);
+            const invalidDocuments = col.schema
+                ? col.data.filter(doc => this.schemaValidator.validate(col.schema, doc).length > 0).length
+                : 0;
 
-        if (method === "POST") return this.insert(payload);
+            const duration = this._endTimer(start);
+            this._logRequest('setSchema', name, col.schema ? `Set | Invalid documents: ${invalidDocuments}` : 'Removed', duration);
 
-        if (method === "PATCH" && param) return this.updateById(param, payload);
-        if (method === "PATCH") return this.update(payload);
+            return {
+                success: true,
+                data: { schema: col.schema, invalidDocuments },
+                error: null
+            };
 
-        if (method === "DELETE" && param === "drop") return this.dropCollection();
-        if (method === "DELETE" && param) return this.deleteById(param);
-        if (method === "DELETE") return this.delete(payload);
+        } catch (error) {
+            console.error(`[LiekoDB] SET_SCHEMA ERROR: ${error.message}`);
+            this._logRequest('setSchema', name, `Error: ${error.message}`);
 
-        throw new Error(`Unsupported endpoint: ${method} ${endpoint}`);
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to set schema',
+                    code: 500
+                }
+            };
+        }
     }
 
-    async createIndex(indexDef) {
-        console.log('Creation of index:', indexDef)
+    async getSchema() {
         try {
             const col = this._getCollection(this.collectionName);
 
-            const fields = Object.keys(indexDef);
-            if (fields.length === 0) {
+            return {
+                success: true,
+                data: col.schema,
+                error: null
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to get schema',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    /**
+     * Sets the fields of the current collection that are encrypted on disk,
+     * as names/dot paths or `{ field, deterministic }`. The collection files
+     * are rewritten right away in the new format.
+     */
+    async setEncryptedFields(fields = []) {
+        const start = this._startTimer();
+        // Requests for other collections may change this.collectionName while we await
+        const name = this.collectionName;
+
+        try {
+            const col = this._getCollection(name);
+
+            if (!Array.isArray(fields)) {
                 return {
                     success: false,
                     data: null,
-                    error: { message: 'Index definition cannot be empty', code: 400 }
+                    error: { message: 'Encrypted fields must be an array', code: 400 }
                 };
             }
 
-            const orders = fields.map(f => indexDef[f]);
-            if (!orders.every(o => o === 1 || o === -1)) {
+            const normalized = fields.map(f => typeof f === 'string'
+                ? { field: f, deterministic: false }
+                : { field: f && f.field, deterministic: !!(f && f.deterministic) });
+
+            const invalid = normalized.find(f => typeof f.field !== 'string' || !f.field || f.field === 'id' || f.field.startsWith('id.'));
+            if (invalid) {
                 return {
                     success: false,
                     data: null,
-                    error: { message: 'Index order must be 1 or -1', code: 400 }
+                    error: { message: `Invalid encrypted field: ${JSON.stringify(invalid.field)}`, code: 400 }
                 };
             }
 
-            const indexKey = fields.map(f => `${f}:${indexDef[f]}`).join('|');
-            if (col.indexes.has(indexKey)) {
+            if (normalized.length > 0 && !this.encryptionKeys) {
                 return {
                     success: false,
                     data: null,
-                    error: { message: 'Index already exists', code: 409 }
+                    error: { message: 'An encryptionKey must be passed to the LiekoDB constructor to encrypt fields', code: 400 }
                 };
             }
 
-            const index = {
-                fields,
-                orders,
-                map: new Map()
+            // Fields listed on disk are decrypted on load whether or not
+            // they are encrypted yet, so list both sets during the rewrite
+            const transitional = [...col.encryptedFields];
+            for (const f of normalized) {
+                if (!transitional.some(t => t.field === f.field)) transitional.push(f);
+            }
+            await this._saveEncryption(name, transitional);
+
+            col.encryptedFields = normalized;
+            col.rewrite = true;
+            await this._scheduleSave(name);
+            await this._flushNow(name);
+
+            await this._saveEncryption(name, normalized);
+
+            const duration = this._endTimer(start);
+            this._logRequest('setEncryptedFields', name, `Fields: ${normalized.map(f => f.field).join(', ') || 'none'}`, duration);
+
+            return {
+                success: true,
+                data: { fields: normalized },
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] SET_ENCRYPTED_FIELDS ERROR: ${error.message}`);
+            this._logRequest('setEncryptedFields', name, `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to set encrypted fields',
+                    code: 500
+                }
             };
+        }
+    }
 
-            col.data.forEach((doc, docIdx) => {
-                let node = index.map;
+    async getEncryptedFields() {
+        try {
+            const col = this._getCollection(this.collectionName);
 
-                for (let i = 0; i < fields.length; i++) {
-                    const value = doc[fields[i]];
-                    if (value === undefined) return;
+            return {
+                success: true,
+                data: col.encryptedFields,
+                error: null
+            };
 
-                    if (!node.has(value)) {
-                        node.set(value, i === fields.length - 1 ? [] : new Map());
-                    }
-                    node = node.get(value);
+        } catch (error) {
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to get encrypted fields',
+                    code: 500
                 }
+            };
+        }
+    }
+
+    /**
+     * Rebuilds every index of the current collection from a full scan and
+     * compares it entry by entry with the live one. Meant for tests and
+     * debugging: `data.valid` is false as soon as anything has drifted.
+     */
+    async verifyIndexes() {
+        const start = this._startTimer();
+
+        try {
+            const col = this._getCollection(this.collectionName);
+            const report = [];
 
-                node.push(docIdx);
+            let idIndexValid = col.idIndex.size === col.data.filter(d => d.id).length;
+            col.data.forEach((doc, idx) => {
+                if (doc.id && col.idIndex.get(doc.id) !== idx) idIndexValid = false;
             });
 
-            col.indexes.set(indexKey, index);
+            for (const [key, index] of col.indexes) {
+                const expected = { ...index, map: new Map(), sortedKeys: new WeakMap() };
+                col.data.forEach((doc, docIdx) => this._addToIndex(expected, doc, docIdx));
+
+                const actualEntries = this._flattenIndex(index);
+                const expectedEntries = this._flattenIndex(expected);
+
+                const toReport = ({ keys, position }) => ({ keys, position, id: col.data[position]?.id });
+                const missing = [...expectedEntries].filter(([k]) => !actualEntries.has(k)).map(([, e]) => toReport(e));
+                const unexpected = [...actualEntries].filter(([k]) => !expectedEntries.has(k)).map(([, e]) => toReport(e));
+
+                report.push({
+                    name: key,
+                    fields: index.fields,
+                    entries: actualEntries.size,
+                    valid: missing.length === 0 && unexpected.length === 0,
+                    missing: missing.slice(0, 20),
+                    unexpected: unexpected.slice(0, 20)
+                });
+            }
+
+            const valid = idIndexValid && report.every(r => r.valid);
+
+            const duration = this._endTimer(start);
+            this._logRequest('verifyIndexes', this.collectionName, `Indexes: ${report.length} | Valid: ${valid}`, duration);
 
             return {
                 success: true,
                 data: {
-                    fields,
-                    orders,
-                    size: index.map.size
+                    valid,
+                    idIndex: { valid: idIndexValid, entries: col.idIndex.size },
+                    indexes: report
                 },
                 error: null
             };
 
         } catch (error) {
+            console.error(`[LiekoDB] VERIFY_INDEXES ERROR: ${error.message}`);
+            this._logRequest('verifyIndexes', this.collectionName, `Error: ${error.message}`);
+
             return {
                 success: false,
                 data: null,
                 error: {
-                    message: error.message || 'Failed to create index',
+                    message: error.message || 'Failed to verify indexes',
                     code: 500
                 }
             };
@@ -1074,7 +4385,10 @@ class LocalAdapter {
                 throw new Error('Filters must be an object');
             }
 
-            const count = this.queryEngine.count(col.data, filters);
+            const plan = filters && Object.keys(filters).length > 0
+                ? this._planQuery(col, filters)
+                : null;
+            const count = plan ? plan.positions.length : this.queryEngine.count(col.data, filters, this.collectionName);
 
             const duration = this._endTimer(start);
             const details = `Filters: ${this._formatFilters(filters)} | Count: ${count}`;
@@ -1101,41 +4415,68 @@ class LocalAdapter {
         }
     }
 
+    _validateFilter(filters) {
+        if (filters && typeof filters !== 'object') {
+            throw new Error('Filters must be an object');
+        }
+
+        const validOperators = QueryEngine.OPERATORS.query;
+
+        const validateFilter = (filter) => {
+            for (const key in filter) {
+                if (key.startsWith('$') && !validOperators.includes(key)) {
+                    throw new Error(`Invalid query operator: ${key}. Valid operators: ${validOperators.join(', ')}`);
+                }
+                // Expression operators are checked while evaluating, $text by the text search
+                if (key === '$expr' || key === '$text') continue;
+                if (filter[key] && typeof filter[key] === 'object') {
+                    validateFilter(filter[key]);
+                }
+            }
+        };
+
+        validateFilter(filters);
+    }
+
     async find({ filters = {}, options = {} } = {}) {
         const start = this._startTimer();
 
         try {
             const col = this._getCollection(this.collectionName);
 
-            if (filters && typeof filters !== 'object') {
-                throw new Error('Filters must be an object');
-            }
+            this._validateFilter(filters);
 
-            const validOperators = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
-                '$exists', '$regex', '$and', '$or', '$not'];
+            if (options.sort && typeof options.sort !== 'object') {
+                throw new Error('Sort must be an object');
+            }
 
-            const validateFilter = (filter) => {
-                for (const key in filter) {
-                    if (key.startsWith('$') && !validOperators.includes(key)) {
-                        throw new Error(`Invalid query operator: ${key}. Valid operators: ${validOperators.join(', ')}`);
-                    }
-                    if (filter[key] && typeof filter[key] === 'object') {
-                        validateFilter(filter[key]);
-                    }
-                }
+            // Time spent in each stage, reported by `options.explain`
+            const timings = {};
+            let stageStart = this._startTimer();
+            const endStage = (stage) => {
+                timings[stage] = this._endTimer(stageStart);
+                stageStart = this._startTimer();
             };
 
-            validateFilter(filters);
-
-            let allResults = this.queryEngine.applyFilters(col.data, filters);
+            const cacheHitsBefore = this.queryEngine.cacheHits;
+            const plan = this._planQuery(col, filters, options.sort);
+            let allResults = plan
+                ? plan.positions.map(p => col.data[p])
+                : this.queryEngine.applyFilters(col.data, filters, this.collectionName);
             let data = [...allResults];
+            const cacheHit = this.queryEngine.cacheHits > cacheHitsBefore;
 
-            if (options.sort) {
-                if (typeof options.sort !== 'object') {
-                    throw new Error('Sort must be an object');
-                }
-                data = this.queryEngine.sortResults(data, options.sort);
+            // Values such as textScore, for { $meta } sorts and projections
+            const meta = plan && plan.meta
+                ? new Map([...plan.meta].map(([pos, values]) => [col.data[pos], values]))
+                : null;
+            endStage('filter');
+
+            const inMemorySort = Boolean(options.sort) && !(plan && plan.sorted);
+            if (inMemorySort) {
+                data = this.queryEngine.sortResults(data, options.sort, meta);
             }
+            endStage('sort');
 
             if (options.skip) {
                 if (options.skip < 0) {
@@ -1143,6 +4484,7 @@ class LocalAdapter {
                 }
                 data = data.slice(options.skip);
             }
+            endStage('skip');
 
             if (options.limit) {
                 const limitValue = typeof options.limit === 'string'
@@ -1160,18 +4502,45 @@ class LocalAdapter {
                     data = data.slice(0, limitNum);
                 }
             }
+            endStage('limit');
+
+            if (options.populate) {
+                const populated = this._populate(data, options.populate);
+                if (meta) populated.forEach((doc, i) => meta.set(doc, meta.get(data[i])));
+                data = populated;
+            }
+            endStage('populate');
 
             if (options.fields) {
                 if (typeof options.fields !== 'object') {
                     throw new Error('Fields must be an object');
                 }
-                data = this.queryEngine.selectFields(data, options.fields);
+                data = this.queryEngine.selectFields(data, options.fields, meta);
             }
+            endStage('projection');
 
             const total = allResults.length;
             const returnedCount = data.length;
             const duration = this._endTimer(start);
 
+            if (options.explain) {
+                const explanation = {
+                    collection: this.collectionName,
+                    filters,
+                    index: plan ? plan.index : null,
+                    documentsScanned: plan ? plan.scanned : (cacheHit ? 0 : col.data.length),
+                    documentsMatched: total,
+                    documentsReturned: returnedCount,
+                    queryCacheHit: cacheHit,
+                    sort: options.sort ? (inMemorySort ? 'memory' : 'index') : null,
+                    timings: { ...timings, total: duration }
+                };
+
+                this._logRequest('explain', this.collectionName, `Index: ${explanation.index || 'none'} | Scanned: ${explanation.documentsScanned} | Returned: ${returnedCount}`, duration);
+
+                return { success: true, data: explanation, error: null };
+            }
+
             if (total === 0) {
                 return {
                     success: false,
@@ -1222,7 +4591,148 @@ class LocalAdapter {
         }
     }
 
-    async findById(id) {
+    /**
+     * Fetches the documents of collection `from` whose `foreignField` holds
+     * one of `values`, keyed by that value. Joins on `id` go through the
+     * idIndex, others through _findMatchingPositions and so any index.
+     */
+    _resolveJoin(from, foreignField, values) {
+        if (typeof from !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(from)) {
+            throw new Error(`Invalid collection to join: ${from}`);
+        }
+
+        const matches = new Map();
+        // Loading an unknown collection would create it: a typo in `from` joins nothing instead
+        if (!this._collectionExists(from)) return matches;
+
+        const col = this._getCollection(from);
+        const add = (key, doc) => {
+            if (!matches.has(key)) matches.set(key, []);
+            matches.get(key).push(doc);
+        };
+
+        if (foreignField === 'id') {
+            for (const value of values) {
+                if (col.idIndex.has(value)) add(value, col.data[col.idIndex.get(value)]);
+            }
+            return matches;
+        }
+
+        const wanted = new Set(values);
+        for (const pos of this._findMatchingPositions(col, { [foreignField]: { $in: values } })) {
+            const doc = col.data[pos];
+            const value = this.queryEngine.getValue(doc, foreignField);
+            for (const key of Array.isArray(value) ? new Set(value) : [value]) {
+                if (wanted.has(key)) add(key, doc);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Replaces references with the documents they point to. Each spec is
+     * `{ from, localField, foreignField = 'id', as = localField, fields }`;
+     * a scalar reference becomes one document (or null), an array of
+     * references an array of documents.
+     */
+    _populate(docs, populate) {
+        const specs = Array.isArray(populate) ? populate : [populate];
+        let results = docs;
+
+        for (const spec of specs) {
+            if (!spec || !spec.from || !spec.localField) {
+                throw new Error('populate requires from and localField');
+            }
+
+            const { from, localField, foreignField = 'id', as = localField, fields } = spec;
+            const matches = this._resolveJoin(from, foreignField, this.queryEngine.collectJoinValues(results, localField));
+            const pick = doc => (fields ? this.queryEngine.selectFields([doc], fields)[0] : doc);
+
+            results = results.map(doc => {
+                const value = this.queryEngine.getValue(doc, localField);
+                const resolve = v => (matches.get(v) || []).map(pick)[0] ?? null;
+
+                return {
+                    ...doc,
+                    [as]: Array.isArray(value)
+                        ? value.map(resolve).filter(d => d !== null)
+                        : resolve(value)
+                };
+            });
+        }
+
+        return results;
+    }
+
+    async aggregate({ pipeline = [] } = {}) {
+        const start = this._startTimer();
+
+        try {
+            const col = this._getCollection(this.collectionName);
+
+            const validStages = ['$match', '$group', '$project', '$sort', '$skip', '$limit', '$unwind', '$count', '$lookup'];
+
+            if (!Array.isArray(pipeline)) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: 'Pipeline must be an array of stages', code: 400 }
+                };
+            }
+
+            for (const stage of pipeline) {
+                const names = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+                if (names.length !== 1 || !validStages.includes(names[0])) {
+                    return {
+                        success: false,
+                        data: null,
+                        error: {
+                            message: `Invalid pipeline stage: ${JSON.stringify(stage)}. Valid stages: ${validStages.join(', ')}`,
+                            code: 400
+                        }
+                    };
+                }
+            }
+
+            // A leading $match can be served by the indexes
+            let source = col.data;
+            let stages = pipeline;
+            if (pipeline.length > 0 && pipeline[0].$match) {
+                source = this._findMatchingPositions(col, pipeline[0].$match).map(p => col.data[p]);
+                stages = pipeline.slice(1);
+            }
+
+            const data = this.queryEngine.aggregate(source, stages, {
+                resolveJoin: (from, foreignField, values) => this._resolveJoin(from, foreignField, values)
+            });
+
+            const duration = this._endTimer(start);
+            const details = `Stages: ${pipeline.map(stage => Object.keys(stage)[0]).join(', ') || 'none'} | Returned: ${data.length}`;
+            this._logRequest('aggregate', this.collectionName, details, duration, this._getDataSize(data));
+
+            return {
+                success: true,
+                data,
+                total: data.length,
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] AGGREGATE ERROR: ${error.message}`);
+            this._logRequest('aggregate', this.collectionName, `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to run aggregation',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    async findById(id, options = {}) {
         const start = this._startTimer();
 
         try {
@@ -1235,6 +4745,10 @@ class LocalAdapter {
                 found = col.data.find(d => d.id === id);
             }
 
+            if (found && options && options.populate) {
+                found = this._populate([found], options.populate)[0];
+            }
+
             const duration = this._endTimer(start);
             const details = `ID: ${id} | Found: ${found ? 'Yes' : 'No'}`;
             this._logRequest('find_By_Id', this.collectionName, details, duration, this._getDataSize(found));
@@ -1268,17 +4782,30 @@ class LocalAdapter {
         }
     }
 
-    async insert({ data }) {
+    /**
+     * Inserts one document or a batch. `mode` decides what happens to a
+     * document whose id already exists: 'upsert' (default) merges it into
+     * the stored one, 'replace' swaps the stored one for it and 'insert'
+     * skips it.
+     */
+    async insert({ data, mode = 'upsert' }) {
         const start = this._startTimer();
+        const name = this.collectionName;
 
         try {
-            const col = this._getCollection(this.collectionName);
+            const col = this._getCollection(name);
             const toInsert = Array.isArray(data) ? data : [data];
             const now = new Date().toISOString();
             // now to avoid big insert array delay
 
+            if (!['upsert', 'replace', 'insert'].includes(mode)) {
+                throw new Error(`Invalid insert mode "${mode}". Use 'upsert', 'replace' or 'insert'`);
+            }
+
             const inserted = [];
             const updated = [];
+            const replaced = [];
+            const skipped = [];
 
             const insertCount = toInsert.length;
             const useSequentialIds = insertCount >= 2;
@@ -1290,6 +4817,28 @@ class LocalAdapter {
                 prefix = Date.now().toString(36);
             }
 
+            if (col.schema) {
+                // Documents upserted into an existing id are checked merged into it
+                const candidates = toInsert.map(doc => {
+                    const existingIndex = doc.id !== undefined && col.idIndex.has(String(doc.id))
+                        ? col.idIndex.get(String(doc.id))
+                        : -1;
+                    return existingIndex === -1 || mode !== 'upsert' ? doc : { ...col.data[existingIndex], ...doc };
+                });
+
+                const violations = this._validateDocuments(col, candidates, Array.isArray(data));
+                if (violations.length > 0) {
+                    this._logRequest('insert', name, `Validation failed: ${violations.length} violation(s)`, this._endTimer(start));
+                    return this._validationErrorResponse(violations);
+                }
+            }
+
+            // With unique indexes a batch is all-or-nothing: every applied
+            // write records how to revert it in case a later one conflicts.
+            const checkUnique = this._hasUniqueIndex(col);
+            const undo = [];
+            const rollback = () => undo.reverse().forEach(revert => revert());
+
             for (let doc of toInsert) {
                 let docId = doc.id;
 
@@ -1311,19 +4860,57 @@ class LocalAdapter {
                 const existingIndex = col.idIndex.has(docId) ? col.idIndex.get(docId) : -1;
 
                 if (existingIndex !== -1) {
+                    if (mode === 'insert') {
+                        skipped.push(docId);
+                        continue;
+                    }
+
                     const existingDoc = col.data[existingIndex];
                     const originalCreatedAt = existingDoc.createdAt;
+                    const snapshot = checkUnique || this.trackingChanges ? JSON.parse(JSON.stringify(existingDoc)) : null;
+
+                    this._mutateIndexed(col, existingIndex, target => {
+                        if (mode === 'replace') {
+                            for (const key of Object.keys(target)) delete target[key];
+                        }
+                        Object.assign(target, doc);
+                        target.createdAt = originalCreatedAt;
+                        target.updatedAt = now;
+                    });
 
-                    Object.assign(existingDoc, doc);
-                    existingDoc.createdAt = originalCreatedAt;
-                    existingDoc.updatedAt = now;
+                    if (checkUnique) {
+                        undo.push(() => this._restoreDocument(col, existingIndex, snapshot));
+
+                        const conflict = this._findUniqueConflict(col, existingDoc, existingIndex);
+                        if (conflict) {
+                            rollback();
+                            this._logRequest('insert', name, `Duplicate key on ${conflict.index}`, this._endTimer(start));
+                            return this._duplicateKeyResponse(conflict);
+                        }
+                    }
 
-                    col.data[existingIndex] = existingDoc;
                     updated.push(existingDoc);
+                    replaced.push({ doc: existingDoc, before: snapshot });
                 } else {
                     doc.id = docId;
                     doc.createdAt = doc.createdAt || now;
 
+                    if (checkUnique) {
+                        const conflict = this._findUniqueConflict(col, doc, -1);
+                        if (conflict) {
+                            rollback();
+                            this._logRequest('insert', name, `Duplicate key on ${conflict.index}`, this._endTimer(start));
+                            return this._duplicateKeyResponse(conflict);
+                        }
+
+                        undo.push(() => {
+                            const lastIdx = col.data.length - 1;
+                            this._updateIndexesOnRemove(col, doc, lastIdx);
+                            col.data.pop();
+                            col.idIndex.delete(docId);
+                        });
+                    }
+
                     const newIndex = col.data.length;
                     col.data.push(doc);
                     col.idIndex.set(docId, newIndex);
@@ -1333,8 +4920,12 @@ class LocalAdapter {
             }
 
             if (inserted.length > 0 || updated.length > 0) {
+                this._journalWrite(col, 'insert', inserted);
+                this._journalWrite(col, 'update', updated);
+                this._emitChange(name, 'insert', inserted.map(doc => ({ doc })));
+                this._emitChange(name, 'update', replaced);
                 col.dirty = true;
-                this._scheduleSave(this.collectionName);
+                await this._scheduleSave(name);
             }
 
             const responseData = {
@@ -1342,6 +4933,10 @@ class LocalAdapter {
                 updatedCount: updated.length
             };
 
+            if (mode === 'insert') {
+                responseData.skippedCount = skipped.length;
+            }
+
             if (inserted.length > 0) {
                 if (inserted.length > 20) {
                     responseData.firstId = inserted[0].id;
@@ -1356,10 +4951,11 @@ class LocalAdapter {
             }
 
             const duration = this._endTimer(start);
-            const details = updated.length > 0
+            let details = updated.length > 0
                 ? `Inserted: ${inserted.length}, Updated: ${updated.length}`
                 : `Inserted: ${inserted.length}`;
-            this._logRequest('insert', this.collectionName, details, duration, this._getDataSize(responseData));
+            if (skipped.length > 0) details += `, Skipped: ${skipped.length}`;
+            this._logRequest('insert', name, details, duration, this._getDataSize(responseData));
 
             return {
                 success: true,
@@ -1369,7 +4965,7 @@ class LocalAdapter {
 
         } catch (error) {
             console.error(`[LiekoDB] INSERT ERROR: ${error.message}`);
-            this._logRequest('insert', this.collectionName, `Error: ${error.message}`);
+            this._logRequest('insert', name, `Error: ${error.message}`);
 
             return {
                 success: false,
@@ -1384,6 +4980,7 @@ class LocalAdapter {
 
     async update(payload) {
         const start = this._startTimer();
+        const name = this.collectionName;
 
         try {
             const {
@@ -1393,7 +4990,7 @@ class LocalAdapter {
                 maxReturn = 50
             } = payload;
 
-            const col = this._getCollection(this.collectionName);
+            const col = this._getCollection(name);
 
             const normalizedUpdate = updateOperations.$set || updateOperations.$inc ||
                 updateOperations.$push || updateOperations.$pull ||
@@ -1403,35 +5000,69 @@ class LocalAdapter {
 
             let updated = 0;
             const allUpdatedDocs = [];
+            const touched = [];
+            const changes = [];
+            const checkUnique = this._hasUniqueIndex(col);
+            const snapshots = [];
+            const positions = this._findMatchingPositions(col, filters);
+
+            if (col.schema) {
+                const candidates = positions.map(i => {
+                    const candidate = JSON.parse(JSON.stringify(col.data[i]));
+                    this.queryEngine.applyUpdateToDoc(candidate, normalizedUpdate);
+                    return candidate;
+                });
+
+                const violations = this._validateDocuments(col, candidates, true);
+                if (violations.length > 0) {
+                    this._logRequest('update', name, `Validation failed: ${violations.length} violation(s)`, this._endTimer(start));
+                    return this._validationErrorResponse(violations);
+                }
+            }
 
-            for (let i = 0; i < col.data.length; i++) {
-                if (this.queryEngine.matchesFilter(col.data[i], filters)) {
-                    const before = returnType !== 'count'
-                        ? JSON.parse(JSON.stringify(col.data[i]))
-                        : null;
+            for (const i of positions) {
+                const before = returnType !== 'count' || checkUnique || this.trackingChanges
+                    ? JSON.parse(JSON.stringify(col.data[i]))
+                    : null;
 
-                    this.queryEngine.applyUpdateToDoc(col.data[i], normalizedUpdate);
-                    col.data[i].updatedAt = new Date().toISOString();
+                this._mutateIndexed(col, i, doc => {
+                    this.queryEngine.applyUpdateToDoc(doc, normalizedUpdate);
+                    doc.updatedAt = new Date().toISOString();
+                });
 
-                    updated++;
+                if (checkUnique) {
+                    snapshots.push([i, before]);
 
-                    if (returnType !== 'count') {
-                        allUpdatedDocs.push({
-                            before,
-                            after: col.data[i]
-                        });
+                    const conflict = this._findUniqueConflict(col, col.data[i], i);
+                    if (conflict) {
+                        snapshots.reverse().forEach(([idx, snapshot]) => this._restoreDocument(col, idx, snapshot));
+                        this._logRequest('update', name, `Duplicate key on ${conflict.index}`, this._endTimer(start));
+                        return this._duplicateKeyResponse(conflict);
                     }
                 }
+
+                updated++;
+                touched.push(col.data[i]);
+                changes.push({ doc: col.data[i], before });
+
+                if (returnType !== 'count') {
+                    allUpdatedDocs.push({
+                        before,
+                        after: col.data[i]
+                    });
+                }
             }
 
             if (updated > 0) {
+                this._journalWrite(col, 'update', touched);
+                this._emitChange(name, 'update', changes);
                 col.dirty = true;
-                this._scheduleSave(this.collectionName);
+                await this._scheduleSave(name);
             }
 
             if (updated === 0) {
                 const duration = this._endTimer(start);
-                this._logRequest('update', this.collectionName, `Filters: ${this._formatFilters(filters)} | Updated: 0 (no match)`, duration);
+                this._logRequest('update', name, `Filters: ${this._formatFilters(filters)} | Updated: 0 (no match)`, duration);
 
                 return {
                     success: false,
@@ -1464,7 +5095,7 @@ class LocalAdapter {
 
             const duration = this._endTimer(start);
             const details = `Filters: ${this._formatFilters(filters)} | Updated: ${updated} | ReturnType: ${returnType}`;
-            this._logRequest('update', this.collectionName, details, duration, this._getDataSize(responseData));
+            this._logRequest('update', name, details, duration, this._getDataSize(responseData));
 
             return {
                 success: true,
@@ -1474,7 +5105,7 @@ class LocalAdapter {
 
         } catch (error) {
             console.error(`[LiekoDB] UPDATE ERROR: ${error.message}`);
-            this._logRequest('update', this.collectionName, `Error: ${error.message}`);
+            this._logRequest('update', name, `Error: ${error.message}`);
 
             return {
                 success: false,
@@ -1489,6 +5120,7 @@ class LocalAdapter {
 
     async updateById(id, payload) {
         const start = this._startTimer();
+        const name = this.collectionName;
 
         try {
             const {
@@ -1496,7 +5128,7 @@ class LocalAdapter {
                 returnType = 'document' // 'id' | 'document'
             } = payload;
 
-            const col = this._getCollection(this.collectionName);
+            const col = this._getCollection(name);
 
             let docIndex = -1;
             if (col.idIndex?.has(id)) {
@@ -1507,7 +5139,7 @@ class LocalAdapter {
 
             if (docIndex === -1) {
                 const duration = this._endTimer(start);
-                this._logRequest('updateById', this.collectionName, `ID: ${id} | Not found`, duration);
+                this._logRequest('updateById', name, `ID: ${id} | Not found`, duration);
 
                 return {
                     success: false,
@@ -1516,12 +5148,40 @@ class LocalAdapter {
                 };
             }
 
-            this.queryEngine.applyUpdateToDoc(col.data[docIndex], updateOperations);
+            if (col.schema) {
+                const candidate = JSON.parse(JSON.stringify(col.data[docIndex]));
+                this.queryEngine.applyUpdateToDoc(candidate, updateOperations);
+
+                const violations = this._validateDocuments(col, [candidate]);
+                if (violations.length > 0) {
+                    this._logRequest('updateById', name, `ID: ${id} | Validation failed: ${violations.length} violation(s)`, this._endTimer(start));
+                    return this._validationErrorResponse(violations);
+                }
+            }
+
+            const snapshot = this._hasUniqueIndex(col) || this.trackingChanges
+                ? JSON.parse(JSON.stringify(col.data[docIndex]))
+                : null;
+
+            this._mutateIndexed(col, docIndex, doc => {
+                this.queryEngine.applyUpdateToDoc(doc, updateOperations);
+            });
+
+            if (this._hasUniqueIndex(col)) {
+                const conflict = this._findUniqueConflict(col, col.data[docIndex], docIndex);
+                if (conflict) {
+                    this._restoreDocument(col, docIndex, snapshot);
+                    this._logRequest('updateById', name, `ID: ${id} | Duplicate key on ${conflict.index}`, this._endTimer(start));
+                    return this._duplicateKeyResponse(conflict);
+                }
+            }
 
             const updatedDocument = col.data[docIndex];
 
+            this._journalWrite(col, 'update', [updatedDocument]);
+            this._emitChange(name, 'update', [{ doc: updatedDocument, before: snapshot }]);
             col.dirty = true;
-            this._scheduleSave(this.collectionName);
+            await this._scheduleSave(name);
 
             const responseData = {
                 updatedCount: 1,
@@ -1534,7 +5194,7 @@ class LocalAdapter {
 
             const duration = this._endTimer(start);
             const details = `ID: ${id} | ReturnType: ${returnType} | Updated: 1`;
-            this._logRequest('updateById', this.collectionName, details, duration, this._getDataSize(responseData));
+            this._logRequest('updateById', name, details, duration, this._getDataSize(responseData));
 
             return {
                 success: true,
@@ -1545,7 +5205,7 @@ class LocalAdapter {
         } catch (error) {
             const duration = this._endTimer(start);
             console.error(`[LiekoDB] UPDATE_BY_ID ERROR: ${error.message}`);
-            this._logRequest('updateById', this.collectionName, `Error: ${error.message}`, duration);
+            this._logRequest('updateById', name, `Error: ${error.message}`, duration);
 
             return {
                 success: false,
@@ -1560,6 +5220,7 @@ class LocalAdapter {
 
     async paginate(filters = {}, options = {}) {
         const start = this._startTimer();
+        const name = this.collectionName;
 
         try {
             const page = Math.max(1, parseInt(options.page) || 1);
@@ -1567,7 +5228,7 @@ class LocalAdapter {
 
             if (isNaN(page) || isNaN(limit)) {
                 const duration = this._endTimer(start);
-                this._logRequest('paginate', this.collectionName, 'Invalid page/limit params', duration);
+                this._logRequest('paginate', name, 'Invalid page/limit params', duration);
 
                 return {
                     success: false,
@@ -1634,13 +5295,13 @@ class LocalAdapter {
 
             const duration = this._endTimer(start);
             const details = `Filters: ${this._formatFilters(filters)} | Page: ${page}/${totalPages} | Limit: ${limit} | Found: ${totalItems}`;
-            this._logRequest('paginate', this.collectionName, details, duration, this._getDataSize(result));
+            this._logRequest('paginate', name, details, duration, this._getDataSize(result));
 
             return result;
 
         } catch (error) {
             console.error(`[LiekoDB] PAGINATE ERROR: ${error.message}`);
-            this._logRequest('paginate', this.collectionName, `Error: ${error.message}`);
+            this._logRequest('paginate', name, `Error: ${error.message}`);
 
             return {
                 success: false,
@@ -1656,33 +5317,34 @@ class LocalAdapter {
 
     async delete({ filters = {} }) {
         const start = this._startTimer();
+        const name = this.collectionName;
 
         try {
-            const col = this._getCollection(this.collectionName);
+            const col = this._getCollection(name);
             const before = col.data.length;
 
-            const idsToDelete = col.data
-                .filter(d => this.queryEngine.matchesFilter(d, filters))
-                .map(d => d.id)
+            const positionsToDelete = new Set(this._findMatchingPositions(col, filters));
+            const idsToDelete = [...positionsToDelete]
+                .map(i => col.data[i].id)
                 .filter(id => id !== undefined);
+            const removed = [...positionsToDelete].map(i => col.data[i]);
 
-            col.data = col.data.filter(d => !this.queryEngine.matchesFilter(d, filters));
+            col.data = col.data.filter((d, i) => !positionsToDelete.has(i));
             const deleted = before - col.data.length;
 
             if (deleted > 0) {
                 idsToDelete.forEach(id => col.idIndex.delete(id));
-                col.idIndex.clear();
-                col.data.forEach((doc, idx) => {
-                    if (doc.id) col.idIndex.set(doc.id, idx);
-                });
+                this._rebuildIndexes(col);
+                this._journalWrite(col, 'delete', idsToDelete.map(id => ({ id })));
+                this._emitChange(name, 'delete', removed.map(doc => ({ before: doc })));
 
                 col.dirty = true;
-                this._scheduleSave(this.collectionName);
+                await this._scheduleSave(name);
             }
 
             const duration = this._endTimer(start);
             const details = `Filters: ${this._formatFilters(filters)} | Deleted: ${deleted}`;
-            this._logRequest('delete', this.collectionName, details, duration, this._getDataSize({ deleted }));
+            this._logRequest('delete', name, details, duration, this._getDataSize({ deleted }));
 
             if (deleted === 0) {
                 return {
@@ -1700,7 +5362,7 @@ class LocalAdapter {
 
         } catch (error) {
             console.error(`[LiekoDB] DELETE ERROR: ${error.message}`);
-            this._logRequest('delete', this.collectionName, `Error: ${error.message}`);
+            this._logRequest('delete', name, `Error: ${error.message}`);
 
             return {
                 success: false,
@@ -1715,13 +5377,14 @@ class LocalAdapter {
 
     async deleteById(id) {
         const start = this._startTimer();
+        const name = this.collectionName;
         try {
-            const col = this._getCollection(this.collectionName);
+            const col = this._getCollection(name);
             const docIdx = col.idIndex.get(id);
 
             if (docIdx === undefined) {
                 const duration = this._endTimer(start);
-                this._logRequest('delete_By_Id', this.collectionName, `ID: ${id} | Not found`, duration);
+                this._logRequest('delete_By_Id', name, `ID: ${id} | Not found`, duration);
                 return {
                     success: false,
                     data: null,
@@ -1740,6 +5403,7 @@ class LocalAdapter {
             // Mise à jour de tous les indexes secondaires
             for (const index of col.indexes.values()) {
                 this._removeFromIndex(index, doc, docIdx);
+                this._shiftIndexPositions(index, docIdx);
             }
 
             // Réindexer les indices des documents suivants (car on a décalé avec splice)
@@ -1750,11 +5414,13 @@ class LocalAdapter {
                 }
             }
 
+            this._journalWrite(col, 'delete', [doc]);
+            this._emitChange(name, 'delete', [{ before: doc }]);
             col.dirty = true;
-            this._scheduleSave(this.collectionName);
+            await this._scheduleSave(name);
 
             const duration = this._endTimer(start);
-            this._logRequest('delete_By_Id', this.collectionName, `ID: ${id} | Deleted`, duration);
+            this._logRequest('delete_By_Id', name, `ID: ${id} | Deleted`, duration);
 
             return {
                 success: true,
@@ -1764,7 +5430,7 @@ class LocalAdapter {
 
         } catch (error) {
             console.error(`[LiekoDB] DELETE_BY_ID ERROR: ${error.message}`);
-            this._logRequest('delete_By_Id', this.collectionName, `Error: ${error.message}`);
+            this._logRequest('delete_By_Id', name, `Error: ${error.message}`);
             return {
                 success: false,
                 data: null,
@@ -1773,26 +5439,31 @@ class LocalAdapter {
         }
     }
 
-    async dropCollection() {
+    async dropCollection(name = this.collectionName) {
         const start = this._startTimer();
 
         try {
-            this.collections.delete(this.collectionName);
+            this.collections.delete(name);
+            this.queryEngine.clearCache();
 
-            if (this.saveQueue.has(this.collectionName)) {
-                clearTimeout(this.saveQueue.get(this.collectionName));
-                this.saveQueue.delete(this.collectionName);
+            if (this.saveQueue.has(name)) {
+                clearTimeout(this.saveQueue.get(name));
+                this.saveQueue.delete(name);
             }
 
-            const filePath = path.join(this.storagePath, `${this.collectionName}.json`);
+            const filePath = path.join(this.storagePath, `${name}.json`);
 
             try {
+                await this._saveIndexDefinitions(name);
+                await this._saveSchema(name);
+                await this._saveEncryption(name, []);
+                await fs.rm(this._journalPath(name), { force: true });
                 await fs.unlink(filePath);
             } catch (err) {
                 if (err.code === 'ENOENT') {
                     // Idempotent
                 } else {
-                    this._logRequest('dropCollection', this.collectionName, `Error deleting file: ${err.message}`);
+                    this._logRequest('dropCollection', name, `Error deleting file: ${err.message}`);
 
                     return {
                         success: false,
@@ -1805,8 +5476,10 @@ class LocalAdapter {
                 }
             }
 
+            this._emitChange(name, 'drop', [{}]);
+
             const duration = this._endTimer(start);
-            this._logRequest('dropCollection', this.collectionName, 'Success', duration);
+            this._logRequest('dropCollection', name, 'Success', duration);
 
             return {
                 success: true,
@@ -1816,7 +5489,7 @@ class LocalAdapter {
 
         } catch (error) {
             console.error(`[LiekoDB] DROP_COLLECTION ERROR: ${error.message}`);
-            this._logRequest('dropCollection', this.collectionName, `Unexpected error: ${error.message}`);
+            this._logRequest('dropCollection', name, `Unexpected error: ${error.message}`);
 
             return {
                 success: false,
@@ -1844,7 +5517,7 @@ class LocalAdapter {
             for (const [name, col] of this.collections) {
                 if (col.dirty) {
                     saves.push(
-                        this._flushToDisk(name)
+                        this._flushNow(name)
                             .catch(err => {
                                 failedCollections.push({
                                     collection: name,
@@ -1924,98 +5597,1101 @@ class LocalAdapter {
 
             const col = this.collections.get(name);
 
-            if (!col.dirty) {
-                const duration = this._endTimer(start);
-                this._logRequest('saveCollection', name, 'No changes (not dirty)', duration);
+            if (!col.dirty) {
+                const duration = this._endTimer(start);
+                this._logRequest('saveCollection', name, 'No changes (not dirty)', duration);
+
+                return {
+                    success: true,
+                    data: { saved: false, reason: 'No changes' },
+                    error: null
+                };
+            }
+
+            if (this.saveQueue.has(name)) {
+                clearTimeout(this.saveQueue.get(name));
+                this.saveQueue.delete(name);
+            }
+
+            await this._flushNow(name);
+
+            const duration = this._endTimer(start);
+            this._logRequest('saveCollection', name, 'Success', duration);
+
+            return {
+                success: true,
+                data: {
+                    saved: true,
+                    collection: name
+                },
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] SAVE_COLLECTION ERROR: ${error.message}`);
+            this._logRequest('saveCollection', name, `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to save collection',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    /**
+     * Returns an adapter that runs every operation against private copies
+     * of the collections it touches. Nothing reaches the live collections or
+     * the disk until commitTransaction() applies it.
+     */
+    _createStagedAdapter() {
+        const staged = Object.create(this);
+
+        staged.queryEngine = new QueryEngine();
+        staged.collections = new Map();
+        staged.baseSeqs = new Map();
+        staged.collectionName = null;
+
+        staged._getCollection = (name) => this._getStagedCollection(staged, name);
+        staged._scheduleSave = (name) => {
+            staged.collections.get(name).dirty = true;
+            staged.queryEngine.clearCache();
+        };
+
+        // Change events wait for the commit, copied as they are now
+        staged.changes = [];
+        staged._emitChange = (name, op, changes) => {
+            if (!this.trackingChanges) return;
+            staged.changes.push([name, op, changes.map(({ doc = null, before = null }) => ({
+                doc: doc && JSON.parse(JSON.stringify(doc)),
+                before
+            }))]);
+        };
+        staged.watch = (...args) => this.watch(...args);
+
+        const unsupported = (operation) => async () => ({
+            success: false,
+            data: null,
+            error: { message: `${operation} is not supported inside a transaction`, code: 400 }
+        });
+        staged.createIndex = unsupported('createIndex');
+        staged.dropIndex = unsupported('dropIndex');
+        staged.setSchema = unsupported('setSchema');
+        staged.setEncryptedFields = unsupported('setEncryptedFields');
+        staged.dropCollection = unsupported('dropCollection');
+
+        return staged;
+    }
+
+    _getStagedCollection(staged, name) {
+        if (staged.collections.has(name)) {
+            return staged.collections.get(name);
+        }
+
+        const live = this._getCollection(name);
+        const col = {
+            data: JSON.parse(JSON.stringify(live.data)),
+            dirty: false,
+            idIndex: new Map(),
+            indexes: new Map(),
+            schema: live.schema,
+            pendingLog: []
+        };
+
+        col.data.forEach((doc, idx) => {
+            if (doc.id) col.idIndex.set(doc.id, idx);
+        });
+        for (const [key, index] of live.indexes) {
+            col.indexes.set(key, this._buildIndex(col, index.fields, index.orders, index));
+        }
+
+        staged.collections.set(name, col);
+        staged.baseSeqs.set(name, live.writeSeq);
+        return col;
+    }
+
+    _transactionMarkerPath() {
+        return path.join(this.storagePath, '.transaction');
+    }
+
+    /**
+     * Applies the collections written by a staged adapter to memory, then to
+     * disk. Fails with a conflict when one of them was written outside the
+     * transaction since it was first read. On disk, each collection is written
+     * to <name>.json.txn, then a marker listing them commits the set and the
+     * files are renamed into place; _recoverTransaction() completes or drops
+     * an interrupted commit on the next start.
+     */
+    async commitTransaction(staged) {
+        const start = this._startTimer();
+        const touched = [...staged.collections].filter(([, col]) => col.dirty).map(([name]) => name);
+
+        if (touched.length === 0) {
+            return { success: true, data: { committed: [] }, error: null };
+        }
+
+        // Keep regular saves of these collections out of the way
+        for (const name of touched) {
+            if (this.saveQueue.has(name)) {
+                clearTimeout(this.saveQueue.get(name));
+                this.saveQueue.delete(name);
+            }
+        }
+
+        let inFlight;
+        while ((inFlight = touched.map(name => this._getCollection(name).saving).find(Boolean))) {
+            await inFlight;
+        }
+
+        const conflicts = touched.filter(name => this._getCollection(name).writeSeq !== staged.baseSeqs.get(name));
+        if (conflicts.length > 0) {
+            touched.forEach(name => this._getCollection(name).dirty && this._scheduleFlush(name));
+            this._logRequest('transaction', touched.join(','), `Conflict on ${conflicts.join(', ')}`, this._endTimer(start));
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: `Transaction conflict: ${conflicts.join(', ')} changed outside the transaction`,
+                    code: 409,
+                    type: 'TRANSACTION_CONFLICT',
+                    collections: conflicts
+                }
+            };
+        }
+
+        let done;
+        const saving = new Promise(resolve => { done = resolve; });
+        const previous = new Map();
+        const contents = new Map();
+
+        // Swap in the staged state and serialize it in one synchronous step
+        for (const name of touched) {
+            const live = this._getCollection(name);
+            const col = staged.collections.get(name);
+
+            previous.set(name, {
+                data: live.data,
+                idIndex: live.idIndex,
+                indexes: live.indexes,
+                pendingLog: live.pendingLog,
+                dirty: live.dirty
+            });
+
+            for (const [key, index] of live.indexes) {
+                if (!col.indexes.has(key)) col.indexes.set(key, this._buildIndex(col, index.fields, index.orders, index));
+            }
+            for (const key of col.indexes.keys()) {
+                if (!live.indexes.has(key)) col.indexes.delete(key);
+            }
+
+            live.data = col.data;
+            live.idIndex = col.idIndex;
+            live.indexes = col.indexes;
+            live.pendingLog = [];
+            live.dirty = true;
+            live.writeSeq++;
+            live.saving = saving;
+            this.isSaving.add(name);
+            this.queryEngine.clearCache();
+
+            contents.set(name, this._stringifyDocuments(live.data.map(doc => this._serializeDocument(live, doc))));
+        }
+
+        const seqs = new Map(touched.map(name => [name, this._getCollection(name).writeSeq]));
+
+        try {
+            for (const name of touched) {
+                const txnPath = path.join(this.storagePath, `${name}.json.txn`);
+                const handle = await fs.open(txnPath, 'w');
+                try {
+                    await handle.writeFile(await this._encodeFile(contents.get(name)));
+                    if (this.durability !== 'none') await handle.sync();
+                } finally {
+                    await handle.close();
+                }
+            }
+
+            // Commit point
+            await this._writeFileAtomic(this._transactionMarkerPath(), JSON.stringify({ collections: touched, at: Date.now() }));
+
+            for (const name of touched) {
+                const live = this._getCollection(name);
+                await fs.rename(path.join(this.storagePath, `${name}.json.txn`), path.join(this.storagePath, `${name}.json`));
+
+                // The new snapshot supersedes the log; its stale base hash
+                // keeps it from being replayed should the removal not happen
+                live.snapshotHash = this._hashContent(contents.get(name));
+                await fs.rm(this._journalPath(name), { force: true });
+                live.logRecords = 0;
+                live.logBytes = 0;
+            }
+
+            await this._syncDirectory();
+            await fs.rm(this._transactionMarkerPath(), { force: true });
+
+            for (const name of touched) {
+                const live = this._getCollection(name);
+                live.lastSave = Date.now();
+                live.durableSeq = seqs.get(name);
+                live.saveError = null;
+                live.dirty = live.writeSeq !== seqs.get(name);
+            }
+
+        } catch (error) {
+            for (const name of touched) {
+                await fs.rm(path.join(this.storagePath, `${name}.json.txn`), { force: true }).catch(() => { });
+
+                // Undo the in-memory swap unless other writes already built on it
+                const live = this._getCollection(name);
+                if (live.writeSeq === seqs.get(name)) {
+                    Object.assign(live, previous.get(name));
+                    live.writeSeq++;
+                    this.queryEngine.clearCache();
+                }
+            }
+
+            console.error(`[LiekoDB] TRANSACTION ERROR: ${error.message}`);
+            this._logRequest('transaction', touched.join(','), `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: `Failed to commit transaction: ${error.message}`,
+                    code: 500
+                }
+            };
+
+        } finally {
+            for (const name of touched) {
+                const live = this._getCollection(name);
+                this.isSaving.delete(name);
+                live.saving = null;
+                if (live.dirty) this._scheduleFlush(name);
+            }
+            done();
+        }
+
+        for (const [name, op, changes] of staged.changes) {
+            this._emitChange(name, op, changes);
+        }
+
+        const duration = this._endTimer(start);
+        this._logRequest('transaction', touched.join(','), `Committed ${touched.length} collection(s)`, duration);
+
+        return {
+            success: true,
+            data: { committed: touched },
+            error: null
+        };
+    }
+
+    // Finishes a commit whose marker made it to disk, drops one that did not
+    _recoverTransaction() {
+        const markerPath = this._transactionMarkerPath();
+        let files;
+        try {
+            files = fsSync.readdirSync(this.storagePath);
+        } catch (e) {
+            return;
+        }
+
+        const pending = files.filter(f => f.endsWith('.json.txn'));
+        let marker = null;
+
+        if (fsSync.existsSync(markerPath)) {
+            try {
+                marker = JSON.parse(fsSync.readFileSync(markerPath, 'utf8'));
+            } catch (e) { }
+        }
+
+        for (const file of pending) {
+            const txnPath = path.join(this.storagePath, file);
+            const name = file.slice(0, -'.json.txn'.length);
+
+            const committed = Boolean(marker && marker.collections.includes(name));
+
+            try {
+                if (committed) {
+                    fsSync.renameSync(txnPath, path.join(this.storagePath, `${name}.json`));
+                } else {
+                    fsSync.unlinkSync(txnPath);
+                }
+            } catch (e) {
+                console.error(`[LiekoDB] Failed to recover ${file}:`, e.message);
+                continue;
+            }
+
+            const action = committed ? 'committed' : 'rolled back';
+            this.recovered.push({ file, action, at: Date.now() });
+            console.warn(`[LiekoDB] Recovered interrupted transaction: ${file} ${action}`);
+        }
+
+        fsSync.rmSync(markerPath, { force: true });
+    }
+
+    // Rewrites the files of every collection in the current format
+    async rewriteStorage() {
+        const names = this.listCollections();
+
+        for (const name of names) {
+            const col = this._getCollection(name);
+            col.rewrite = true;
+            await this._scheduleSave(name);
+            await this._flushNow(name);
+        }
+
+        return names;
+    }
+
+    /**
+     * Writes a point-in-time archive of every collection, with its index
+     * definitions, schema and encrypted fields, to `target`: a directory
+     * (a `liekodb-backup-<timestamp>.ndjson` file is created in it) or a
+     * writable stream, which is ended once the archive is written.
+     */
+    async backup(target) {
+        const start = this._startTimer();
+
+        try {
+            const saved = await this.saveCollections();
+            if (!saved.success) return saved;
+
+            const createdAt = new Date().toISOString();
+            const names = this.listCollections();
+            const cols = names.map(name => [name, this._getCollection(name)]);
+
+            // Captured in one synchronous step, so the archive reflects a
+            // single moment even while writes keep coming in
+            const lines = [{ type: 'header', format: 'liekodb-backup', version: 1, createdAt, collections: names }];
+            const summary = [];
+            let documents = 0;
+
+            for (const [name, col] of cols) {
+                lines.push({
+                    type: 'collection',
+                    name,
+                    indexes: [...col.indexes].map(([indexName, index]) => ({
+                        name: indexName,
+                        index: this._indexDefinition(index),
+                        options: this._indexOptions(index)
+                    })),
+                    schema: col.schema,
+                    encryptedFields: col.encryptedFields,
+                    count: col.data.length
+                });
+                for (const doc of col.data) {
+                    lines.push({ type: 'doc', collection: name, doc: this._serializeDocument(col, doc) });
+                }
+                summary.push({ name, documents: col.data.length });
+                documents += col.data.length;
+            }
+            lines.push({ type: 'end', documents });
+
+            const encoded = lines.map(line => this._encodeLogLine(JSON.stringify(line)));
+
+            let filePath = null;
+            if (typeof target === 'string') {
+                await fs.mkdir(target, { recursive: true });
+                filePath = path.join(target, `liekodb-backup-${createdAt.replace(/[:.]/g, '-')}.ndjson`);
+                await this._writeFileAtomic(filePath, encoded.join('\n') + '\n');
+            } else {
+                for (const line of encoded) {
+                    if (!target.write(line + '\n')) await once(target, 'drain');
+                }
+                target.end();
+                await once(target, 'finish');
+            }
+
+            const duration = this._endTimer(start);
+            this._logRequest('backup', names.join(','), `Collections: ${names.length} | Documents: ${documents}`, duration);
+
+            return {
+                success: true,
+                data: { path: filePath, createdAt, collections: summary, documents },
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] BACKUP ERROR: ${error.message}`);
+            this._logRequest('backup', 'all', `Error: ${error.message}`);
+
+            return {
+                success: false,
+                data: null,
+                error: {
+                    message: error.message || 'Failed to back up database',
+                    code: 500
+                }
+            };
+        }
+    }
+
+    /**
+     * Restores the collections of a backup archive (a file, a directory
+     * holding backups, the latest of which is used, or a readable stream).
+     * `mode: 'replace'` makes each restored collection identical to its
+     * backup, `'merge'` upserts the backed-up documents by id into the
+     * current ones. All restored collections are committed together.
+     */
+    async restore(source, options = {}) {
+        const start = this._startTimer();
+        const { collections: only = null, mode = 'replace' } = options;
+
+        try {
+            if (!['replace', 'merge'].includes(mode)) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: `Invalid restore mode: "${mode}". Expected 'replace' or 'merge'`, code: 400 }
+                };
+            }
+
+            let archive;
+            try {
+                const input = typeof source === 'string'
+                    ? fsSync.createReadStream(await LocalAdapter._resolveBackupFile(source))
+                    : source;
+                archive = await this._readArchive(input);
+            } catch (error) {
+                if (error.code === 'ENOENT') error.code = 404;
+                throw error;
+            }
+
+            const names = only || [...archive.keys()];
+            const missing = names.filter(name => !archive.has(name));
+            if (missing.length > 0) {
+                return {
+                    success: false,
+                    data: null,
+                    error: { message: `Collection(s) not in backup: ${missing.join(', ')}`, code: 404 }
+                };
+            }
+
+            const staged = this._createStagedAdapter();
+            const targets = new Map();
+
+            for (const name of names) {
+                const { meta, docs } = archive.get(name);
+                const live = this._getCollection(name);
+                const col = this._getStagedCollection(staged, name);
+
+                if (meta.encryptedFields.length > 0 && !this.encryptionKeys) {
+                    throw Object.assign(new Error(`Backup of "${name}" has encrypted fields: an encryptionKey is required`), { code: 400 });
+                }
+                const restored = docs.map(doc => this._decryptDocument(meta, doc));
+
+                if (mode === 'replace') {
+                    col.data = restored;
+                } else {
+                    for (const doc of restored) {
+                        if (doc.id !== undefined && col.idIndex.has(doc.id)) {
+                            col.data[col.idIndex.get(doc.id)] = doc;
+                        } else {
+                            col.data.push(doc);
+                            if (doc.id !== undefined) col.idIndex.set(doc.id, col.data.length - 1);
+                        }
+                    }
+                }
+
+                col.idIndex = new Map();
+                col.data.forEach((doc, idx) => {
+                    if (doc.id) col.idIndex.set(doc.id, idx);
+                });
+
+                const indexes = mode === 'replace'
+                    ? meta.indexes
+                    : [...live.indexes].map(([indexName, index]) => ({
+                        name: indexName,
+                        index: this._indexDefinition(index),
+                        options: this._indexOptions(index)
+                    })).concat(meta.indexes.filter(def => !live.indexes.has(def.name)));
+
+                col.indexes = new Map();
+                for (const def of indexes) {
+                    const fields = Object.keys(def.index);
+                    const index = this._buildIndex(col, fields, fields.map(f => def.index[f]), def.options);
+                    const duplicate = index.unique && this._indexLeaves(index).find(leaf => leaf.positions.length > 1);
+
+                    if (duplicate) {
+                        const duration = this._endTimer(start);
+                        this._logRequest('restore', name, `Duplicate key on ${def.name}`, duration);
+
+                        return {
+                            success: false,
+                            data: null,
+                            error: {
+                                message: `Restoring "${name}" would break unique index "${def.name}"`,
+                                code: 409,
+                                type: 'DUPLICATE_KEY',
+                                index: def.name,
+                                keyValue: this._keyValue(index, duplicate.keys)
+                            }
+                        };
+                    }
+                    col.indexes.set(def.name, index);
+                }
+
+                const encryptedFields = mode === 'replace'
+                    ? meta.encryptedFields
+                    : live.encryptedFields.concat(meta.encryptedFields.filter(f => !live.encryptedFields.some(l => l.field === f.field)));
+
+                targets.set(name, {
+                    indexes: [...col.indexes],
+                    schema: mode === 'replace' ? meta.schema : (live.schema || meta.schema),
+                    encryptedFields,
+                    previousFields: live.encryptedFields
+                });
+                col.dirty = true;
+            }
+
+            // Same ordering as setEncryptedFields: the file lists both sets
+            // while the data is rewritten
+            for (const [name, target] of targets) {
+                const live = this._getCollection(name);
+                const transitional = target.previousFields.concat(
+                    target.encryptedFields.filter(f => !target.previousFields.some(p => p.field === f.field))
+                );
+                await this._saveEncryption(name, transitional);
+                live.encryptedFields = target.encryptedFields;
+            }
 
-                return {
-                    success: true,
-                    data: { saved: false, reason: 'No changes' },
-                    error: null
-                };
+            const commit = await this.commitTransaction(staged);
+            if (!commit.success) {
+                for (const [name, target] of targets) {
+                    this._getCollection(name).encryptedFields = target.previousFields;
+                    await this._saveEncryption(name, target.previousFields);
+                }
+                return commit;
             }
 
-            if (this.saveQueue.has(name)) {
-                clearTimeout(this.saveQueue.get(name));
-                this.saveQueue.delete(name);
+            for (const [name, target] of targets) {
+                const live = this._getCollection(name);
+                live.indexes = new Map();
+                for (const [indexName, index] of target.indexes) {
+                    live.indexes.set(indexName, this._buildIndex(live, index.fields, index.orders, index));
+                }
+                live.schema = target.schema;
             }
 
-            await this._flushToDisk(name);
+            for (const name of targets.keys()) {
+                await this._saveIndexDefinitions(name);
+                await this._saveSchema(name);
+                await this._saveEncryption(name, this._getCollection(name).encryptedFields);
+            }
 
-            col.dirty = false;
+            const summary = names.map(name => ({ name, documents: this._getCollection(name).data.length }));
 
             const duration = this._endTimer(start);
-            this._logRequest('saveCollection', name, 'Success', duration);
+            this._logRequest('restore', names.join(','), `Mode: ${mode} | Collections: ${names.length}`, duration);
 
             return {
                 success: true,
-                data: {
-                    saved: true,
-                    collection: name
-                },
+                data: { mode, collections: summary },
                 error: null
             };
 
         } catch (error) {
-            console.error(`[LiekoDB] SAVE_COLLECTION ERROR: ${error.message}`);
-            this._logRequest('saveCollection', name, `Error: ${error.message}`);
+            console.error(`[LiekoDB] RESTORE ERROR: ${error.message}`);
+            this._logRequest('restore', 'all', `Error: ${error.message}`);
 
             return {
                 success: false,
                 data: null,
                 error: {
-                    message: error.message || 'Failed to save collection',
-                    code: 500
+                    message: error.message || 'Failed to restore backup',
+                    code: Number.isInteger(error.code) ? error.code : 500
                 }
             };
         }
     }
 
+    static async _resolveBackupFile(source) {
+        const stat = await fs.stat(source);
+        if (!stat.isDirectory()) return source;
+
+        const backups = (await fs.readdir(source))
+            .filter(f => f.startsWith('liekodb-backup-') && f.endsWith('.ndjson'))
+            .sort();
+
+        if (backups.length === 0) {
+            throw Object.assign(new Error(`No backup found in ${source}`), { code: 404 });
+        }
+        return path.join(source, backups[backups.length - 1]);
+    }
+
+    // Reads an archive into Map<name, { meta, docs }>, rejecting anything
+    // that is not a complete LiekoDB backup
+    async _readArchive(input) {
+        const archive = new Map();
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let header = null;
+        let end = null;
+        let count = 0;
+
+        const invalid = (message) => Object.assign(new Error(message), { code: 400 });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = this._parseLogLine(line, 'backup archive');
+            } catch (e) {
+                if (e.code === 'EKEY') throw Object.assign(e, { code: 400 });
+                throw invalid(header ? 'Backup archive is damaged' : 'Not a LiekoDB backup');
+            }
+
+            if (!header) {
+                if (record.type !== 'header' || record.format !== 'liekodb-backup') throw invalid('Not a LiekoDB backup');
+                header = record;
+            } else if (record.type === 'collection') {
+                if (typeof record.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(record.name)) {
+                    throw invalid(`Invalid collection name in backup: ${record.name}`);
+                }
+                archive.set(record.name, {
+                    meta: {
+                        indexes: record.indexes || [],
+                        schema: record.schema || null,
+                        encryptedFields: record.encryptedFields || []
+                    },
+                    docs: []
+                });
+            } else if (record.type === 'doc') {
+                const entry = archive.get(record.collection);
+                if (!entry) throw invalid('Backup archive is damaged');
+                entry.docs.push(record.doc);
+                count++;
+            } else if (record.type === 'end') {
+                end = record;
+            }
+        }
+
+        if (!header) throw invalid('Not a LiekoDB backup');
+        if (!end || end.documents !== count) throw invalid('Backup archive is incomplete');
+
+        return archive;
+    }
+
     async status() {
         const collections = [];
         let totalDocs = 0;
         let dirtyCount = 0;
 
         for (const [name, col] of this.collections) {
-            collections.push({
+            const info = {
                 name,
                 documents: col.data.length,
                 dirty: col.dirty,
                 lastSave: col.lastSave
-            });
+            };
+
+            if (col.encryptedFields.length > 0) {
+                info.encryptedFields = col.encryptedFields.map(f => f.field);
+            }
+
+            if (this.storageMode === 'journal') {
+                info.journal = { records: col.logRecords, size: col.logBytes, pending: col.pendingLog.length };
+            }
+
+            collections.push(info);
             totalDocs += col.data.length;
             if (col.dirty) dirtyCount++;
         }
 
         return {
             storagePath: this.storagePath,
+            storageMode: this.storageMode,
+            durability: this.durability,
+            compression: this.compression,
+            encryptFiles: this.encryptFiles,
             collections,
             totalDocuments: totalDocs,
             dirtyCollections: dirtyCount,
-            pendingSaves: this.saveQueue.size
+            pendingSaves: this.saveQueue.size,
+            recovered: this.recovered
         };
     }
 
     async close() {
+        this.watchers.forEach(watcher => watcher.stream.close());
         await this.saveCollections();
         return true;
     }
 }
 
+LocalAdapter.FILE_MAGIC = Buffer.from('LKDB');
+
+/**
+ * Converts documents to and from the line formats used by
+ * Collection.export / Collection.import: 'ndjson', 'csv' and 'ejson'
+ * (MongoDB extended JSON, one document per line).
+ */
+class DataTransfer {
+    constructor(options = {}) {
+        this.format = options.format || 'ndjson';
+        if (!DataTransfer.FORMATS.includes(this.format)) {
+            throw Object.assign(
+                new Error(`Unknown format "${this.format}". Use one of: ${DataTransfer.FORMATS.join(', ')}`),
+                { code: 400 }
+            );
+        }
+
+        // { header: 'field.path' } or ['field.path', ...]
+        this.columns = Array.isArray(options.columns)
+            ? Object.fromEntries(options.columns.map(field => [field, field]))
+            : options.columns || null;
+        this.delimiter = options.delimiter || ',';
+        this.typed = options.typed !== false;
+    }
+
+    /**
+     * Picks the CSV columns from the first documents when none were given:
+     * every leaf path, with arrays kept whole.
+     */
+    resolveColumns(docs) {
+        if (this.columns) return this.columns;
+
+        const paths = new Set();
+        const collect = (value, prefix) => {
+            for (const [key, child] of Object.entries(value)) {
+                const fieldPath = prefix ? `${prefix}.${key}` : key;
+                if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+                    collect(child, fieldPath);
+                } else {
+                    paths.add(fieldPath);
+                }
+            }
+        };
+        docs.forEach(doc => collect(doc, ''));
+
+        this.columns = Object.fromEntries([...paths].map(field => [field, field]));
+        return this.columns;
+    }
+
+    header() {
+        return Object.keys(this.columns).map(name => this._csvCell(name)).join(this.delimiter);
+    }
+
+    formatDocument(doc) {
+        if (this.format === 'ejson') return JSON.stringify(this._toExtendedJson(doc, true));
+        if (this.format === 'ndjson') return JSON.stringify(doc);
+
+        return Object.values(this.columns).map(field => {
+            const value = field.split('.').reduce((obj, key) => obj?.[key], doc);
+            if (value === undefined || value === null) return '';
+            // Quoted, so that it reads back as an empty string, not a missing cell
+            if (value === '') return '""';
+            return this._csvCell(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }).join(this.delimiter);
+    }
+
+    /**
+     * Yields `{ doc, line }` for every record of `stream`; malformed input
+     * throws with code 400 and the offending line number.
+     */
+    async *readDocuments(stream) {
+        if (this.format === 'csv') {
+            yield* this._readCsv(stream);
+            return;
+        }
+
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        let line = 0;
+
+        for await (const text of lines) {
+            line++;
+            if (!text.trim()) continue;
+
+            let doc;
+            try {
+                doc = JSON.parse(text);
+            } catch (e) {
+                throw this._inputError(`Invalid JSON: ${e.message}`, line);
+            }
+            if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+                throw this._inputError('Expected one JSON object per line', line);
+            }
+
+            if (this.format === 'ejson') {
+                try {
+                    doc = this._fromExtendedJson(doc, true);
+                } catch (e) {
+                    throw this._inputError(e.message, line);
+                }
+            }
+            yield { doc, line };
+        }
+    }
+
+    async *_readCsv(stream) {
+        let header = null;
+
+        for await (const { row, quoted, line } of this._csvRows(stream)) {
+            if (!header) {
+                header = row.map(name => name.replace(/^\uFEFF/, '').trim());
+                continue;
+            }
+            if (row.length === 1 && row[0] === '' && !quoted[0]) continue;
+            if (row.length > header.length) {
+                throw this._inputError(`Expected ${header.length} columns, found ${row.length}`, line);
+            }
+
+            const doc = {};
+            row.forEach((cell, i) => {
+                if (cell === '' && !quoted[i]) return;
+                const field = (this.columns && this.columns[header[i]]) || header[i];
+                this._setPath(doc, field, this._parseCell(cell));
+            });
+            yield { doc, line };
+        }
+    }
+
+    /**
+     * RFC 4180 tokenizer: quoted cells may hold delimiters, doubled quotes
+     * and line breaks. Works chunk by chunk, so rows may span chunks.
+     * `quoted[i]` tells an empty quoted cell ("") from a missing one.
+     */
+    async *_csvRows(stream) {
+        const decoder = new StringDecoder('utf8');
+        let row = [];
+        let quoted = [];
+        let cell = '';
+        let cellQuoted = false;
+        let state = 'cell';
+        let line = 1;
+        let rowLine = 1;
+
+        const endCell = () => {
+            row.push(cell);
+            quoted.push(cellQuoted);
+            cell = '';
+            cellQuoted = false;
+        };
+
+        const parse = (text) => {
+            const rows = [];
+
+            for (let i = 0; i < text.length; i++) {
+                const c = text[i];
+
+                if (state === 'quoted') {
+                    if (c === '"') state = 'quote';
+                    else {
+                        if (c === '\n') line++;
+                        cell += c;
+                    }
+                    continue;
+                }
+
+                if (state === 'quote') {
+                    state = 'cell';
+                    if (c === '"') {
+                        cell += '"';
+                        state = 'quoted';
+                        continue;
+                    }
+                }
+
+                if (c === '"' && cell === '' && !cellQuoted) {
+                    state = 'quoted';
+                    cellQuoted = true;
+                } else if (c === this.delimiter) {
+                    endCell();
+                } else if (c === '\n') {
+                    endCell();
+                    rows.push({ row, quoted, line: rowLine });
+                    row = [];
+                    quoted = [];
+                    rowLine = ++line;
+                } else if (c !== '\r') {
+                    cell += c;
+                }
+            }
+
+            return rows;
+        };
+
+        for await (const chunk of stream) {
+            yield* parse(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+        }
+        // Bytes of a character cut off by the end of the input
+        yield* parse(decoder.end());
+
+        if (state === 'quoted') {
+            throw this._inputError('Unterminated quoted cell', rowLine);
+        }
+        if (cell !== '' || cellQuoted || row.length > 0) {
+            endCell();
+            yield { row, quoted, line: rowLine };
+        }
+    }
+
+    _csvCell(text) {
+        return /[",\r\n]/.test(text) || text.includes(this.delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    }
+
+    // Numbers, booleans, null and JSON arrays/objects come back typed;
+    // numbers with leading zeros (zip codes, phone numbers) stay strings.
+    _parseCell(cell) {
+        if (!this.typed) return cell;
+
+        if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(cell)) return Number(cell);
+        if (cell === 'true') return true;
+        if (cell === 'false') return false;
+        if (cell === 'null') return null;
+        if (/^[[{]/.test(cell)) {
+            try {
+                return JSON.parse(cell);
+            } catch (e) {
+                return cell;
+            }
+        }
+        return cell;
+    }
+
+    _setPath(doc, field, value) {
+        const keys = field.split('.');
+        let target = doc;
+
+        for (const key of keys.slice(0, -1)) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+
+    _toExtendedJson(value, root = false) {
+        if (Array.isArray(value)) return value.map(item => this._toExtendedJson(item));
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, child] of Object.entries(value)) {
+                if (root && key === 'id') {
+                    result._id = /^[0-9a-f]{24}$/.test(child) ? { $oid: child } : child;
+                } else {
+                    result[key] = this._toExtendedJson(child);
+                }
+            }
+            return result;
+        }
+
+        // Dates are stored as ISO strings, recognized like the query engine does
+        if (typeof value === 'string' && QueryEngine.ISO_DATE.test(value) && !isNaN(Date.parse(value))) {
+            return { $date: value };
+        }
+        return value;
+    }
+
+    _fromExtendedJson(value, root = false) {
+        if (Array.isArray(value)) return value.map(item => this._fromExtendedJson(item));
+        if (!value || typeof value !== 'object') return value;
+
+        const keys = Object.keys(value);
+        if (keys.length === 1) {
+            const inner = value[keys[0]];
+            switch (keys[0]) {
+                case '$oid':
+                    return String(inner);
+                case '$date': {
+                    // An ISO string is kept as written, so exact-match filters still find it
+                    if (typeof inner === 'string' && QueryEngine.ISO_DATE.test(inner) && !isNaN(Date.parse(inner))) {
+                        return inner;
+                    }
+                    const time = inner && typeof inner === 'object' ? Number(inner.$numberLong) : inner;
+                    const date = new Date(time);
+                    if (isNaN(date.getTime())) throw new Error(`Invalid $date: ${JSON.stringify(inner)}`);
+                    return date.toISOString();
+                }
+                case '$numberInt':
+                case '$numberLong':
+                case '$numberDouble':
+                case '$numberDecimal':
+                    return Number(inner);
+            }
+        }
+
+        const result = {};
+        for (const [key, child] of Object.entries(value)) {
+            result[key] = this._fromExtendedJson(child);
+        }
+
+        if (root && '_id' in result) {
+            if (result.id === undefined) result.id = String(result._id);
+            delete result._id;
+        }
+        return result;
+    }
+
+    _inputError(message, line) {
+        return Object.assign(new Error(`Line ${line}: ${message}`), { code: 400, line });
+    }
+}
+
+DataTransfer.FORMATS = ['ndjson', 'csv', 'ejson'];
+
 class Collection {
     constructor(adapter, name) {
         this.adapter = adapter;
         this.name = name;
     }
 
-    async createIndex(indexDef) {
+    async createIndex(indexDef, options = {}) {
         return this.adapter.request(
             'POST',
             `/collections/${this.name}/indexes`,
-            { index: indexDef }
+            { index: indexDef, options }
         );
     }
 
+    async listIndexes() {
+        return this.adapter.request('GET', `/collections/${this.name}/indexes`);
+    }
+
+    async dropIndex(index) {
+        return this.adapter.request('DELETE', `/collections/${this.name}/indexes`, {
+            index
+        });
+    }
+
+    async verifyIndexes() {
+        return this.adapter.request('GET', `/collections/${this.name}/indexes/verify`);
+    }
+
+    /**
+     * Returns a ChangeStream of `{ op, id, doc, before, updatedFields }`
+     * events for this collection. Options: `resumeAfter` (an event token).
+     */
+    watch(filter = {}, options = {}) {
+        return this.adapter.watch(this.name, filter, options);
+    }
+
+    async setSchema(schema) {
+        return this.adapter.request('POST', `/collections/${this.name}/schema`, { schema });
+    }
+
+    async getSchema() {
+        return this.adapter.request('GET', `/collections/${this.name}/schema`);
+    }
+
+    async setEncryptedFields(fields) {
+        return this.adapter.request('POST', `/collections/${this.name}/encryption`, { fields });
+    }
+
+    async getEncryptedFields() {
+        return this.adapter.request('GET', `/collections/${this.name}/encryption`);
+    }
+
+    async removeSchema() {
+        return this.adapter.request('DELETE', `/collections/${this.name}/schema`);
+    }
+
     async count(filters = {}) {
         return this.adapter.request('GET', `/collections/${this.name}/count`, {
             filters
@@ -2029,6 +6705,15 @@ class Collection {
         });
     }
 
+    /**
+     * Mirrors find() with `{ explain: true }`: `collection.explain().find(filters, options)`
+     */
+    explain() {
+        return {
+            find: (filters = {}, options = {}) => this.find(filters, { ...options, explain: true })
+        };
+    }
+
     async findOne(filters = {}, options = {}) {
         const response = await this.adapter.request('GET', `/collections/${this.name}`, {
             filters,
@@ -2046,15 +6731,22 @@ class Collection {
             : { success: false, data: null, error: { message: 'Document not found', code: 404 } };
     }
 
+    async aggregate(pipeline = []) {
+        return this.adapter.request('POST', `/collections/${this.name}/aggregate`, {
+            pipeline
+        });
+    }
+
     async findById(id, options = {}) {
         return this.adapter.request('GET', `/collections/${this.name}/${id}`, {
             options
         });
     }
 
-    async insert(data) {
+    async insert(data, options = {}) {
         return this.adapter.request('POST', `/collections/${this.name}`, {
-            data
+            data,
+            ...options
         });
     }
 
@@ -2066,39 +6758,153 @@ class Collection {
         });
     }
 
-    async updateById(id, update, options = {}) {
-        return this.adapter.request('PATCH', `/collections/${this.name}/${id}`, {
-            update,
-            ...options
-        });
-    }
+    async updateById(id, update, options = {}) {
+        return this.adapter.request('PATCH', `/collections/${this.name}/${id}`, {
+            update,
+            ...options
+        });
+    }
+
+    async paginate(filters, options = {}) {
+        return this.adapter.request('GET', `/collections/${this.name}/paginate`, {
+            filters,
+            options
+        });
+    }
+
+    async delete(filters) {
+        if (!filters) {
+            throw new Error('Delete operation requires filters to prevent accidental deletion of all documents. {} or use .drop() to delete entire collection.');
+        }
+
+        return this.adapter.request('DELETE', `/collections/${this.name}`, {
+            filters
+        });
+    }
+
+    async deleteById(id) {
+        if (!id) {
+            throw new Error('deleteById operation requires a valid document ID.');
+        }
+        return this.adapter.request('DELETE', `/collections/${this.name}/${id}`);
+    }
+
+    async drop() {
+        return this.adapter.request('DELETE', `/collections/${this.name}`);
+    }
+
+    /**
+     * Writes the documents matching `filters` to a writable stream as
+     * 'ndjson', 'csv' or 'ejson', batch by batch and honoring backpressure.
+     * The stream is ended afterwards unless `end: false` is passed.
+     */
+    async export(stream, options = {}) {
+        const { filters = {}, fields = null, batchSize = 1000, end = true } = options;
+        let exportedCount = 0;
+
+        try {
+            const transfer = new DataTransfer(options);
+            const write = async (line) => {
+                if (!stream.write(line + '\n')) await once(stream, 'drain');
+            };
+
+            for await (const batch of this.adapter.cursor(this.name, { filters, fields, batchSize })) {
+                if (transfer.format === 'csv' && exportedCount === 0) {
+                    transfer.resolveColumns(batch);
+                    await write(transfer.header());
+                }
+                for (const doc of batch) {
+                    await write(transfer.formatDocument(doc));
+                    exportedCount++;
+                }
+            }
+
+            if (end) {
+                stream.end();
+                await once(stream, 'finish');
+            }
+
+            return { success: true, data: { format: transfer.format, exportedCount }, error: null };
+
+        } catch (error) {
+            return {
+                success: false,
+                data: { exportedCount },
+                error: { message: error.message || 'Failed to export documents', code: Number.isInteger(error.code) ? error.code : 500 }
+            };
+        }
+    }
+
+    /**
+     * Reads 'ndjson', 'csv' or 'ejson' documents from a readable stream and
+     * inserts them `batchSize` at a time. `mode` handles ids that already
+     * exist: 'insert' skips them, 'upsert' merges into them and 'replace'
+     * overwrites them. Stops at the first failing batch; documents of the
+     * earlier batches stay imported.
+     */
+    async import(stream, options = {}) {
+        const { mode = 'insert', batchSize = 1000 } = options;
+        const totals = { insertedCount: 0, updatedCount: 0, skippedCount: 0 };
+        let batch = [];
+        let batchLine = 0;
+
+        const flush = async () => {
+            const response = await this.insert(batch, { mode });
+            if (!response.success) {
+                return { ...response, data: { ...totals, line: batchLine } };
+            }
+
+            totals.insertedCount += response.data.insertedCount;
+            totals.updatedCount += response.data.updatedCount;
+            totals.skippedCount += response.data.skippedCount || 0;
+            batch = [];
+            return null;
+        };
+
+        try {
+            const transfer = new DataTransfer(options);
+
+            for await (const { doc, line } of transfer.readDocuments(stream)) {
+                if (batch.length === 0) batchLine = line;
+                batch.push(doc);
+
+                if (batch.length >= batchSize) {
+                    const failure = await flush();
+                    if (failure) return failure;
+                }
+            }
+
+            if (batch.length > 0) {
+                const failure = await flush();
+                if (failure) return failure;
+            }
 
-    async paginate(filters, options = {}) {
-        return this.adapter.request('GET', `/collections/${this.name}/paginate`, {
-            filters,
-            options
-        });
-    }
+            return { success: true, data: totals, error: null };
 
-    async delete(filters) {
-        if (!filters) {
-            throw new Error('Delete operation requires filters to prevent accidental deletion of all documents. {} or use .drop() to delete entire collection.');
+        } catch (error) {
+            return {
+                success: false,
+                data: { ...totals, line: error.line ?? null },
+                error: { message: error.message || 'Failed to import documents', code: Number.isInteger(error.code) ? error.code : 500 }
+            };
         }
+    }
+}
 
-        return this.adapter.request('DELETE', `/collections/${this.name}`, {
-            filters
-        });
+class Transaction {
+    constructor(db) {
+        this.db = db;
+        this.adapter = db.adapter._createStagedAdapter();
+        this.aborted = false;
     }
 
-    async deleteById(id) {
-        if (!id) {
-            throw new Error('deleteById operation requires a valid document ID.');
-        }
-        return this.adapter.request('DELETE', `/collections/${this.name}/${id}`);
+    collection(name) {
+        this.db._validateCollectionName(name);
+        return new Collection(this.adapter, name);
     }
 
-    async drop() {
-        return this.adapter.request('DELETE', `/collections/${this.name}`);
+    abort() {
+        this.aborted = true;
     }
 }
 
@@ -2108,6 +6914,68 @@ class LiekoDB {
         this.adapter = this._createAdapter(options);
     }
 
+    /**
+     * Creates a LiekoServer serving a local database at `options.storagePath`
+     * to HTTPAdapter clients. Call `listen()` to start it.
+     */
+    static createServer(options = {}) {
+        return new LiekoServer(options);
+    }
+
+    /**
+     * Converts the files of `options.storagePath` in place to the format set
+     * by `compression` and `encryptFiles` (indented JSON when both are off),
+     * reading any existing format with `encryptionKey`. The directory is
+     * first copied to `<storagePath>.backup-<timestamp>` unless `backup` is
+     * false. Nothing else may use the storage meanwhile.
+     */
+    static async migrateStorage(options = {}) {
+        const storagePath = options.storagePath || './storage';
+        let backupPath = null;
+
+        try {
+            if (options.backup !== false) {
+                backupPath = `${storagePath.replace(/[\\/]+$/, '')}.backup-${Date.now()}`;
+                if (fs.cp) {
+                    await fs.cp(storagePath, backupPath, { recursive: true });
+                } else {
+                    // Node < 16.7: the collection files, without subdirectories
+                    await fs.mkdir(backupPath, { recursive: true });
+                    for (const entry of await fs.readdir(storagePath, { withFileTypes: true })) {
+                        if (!entry.isFile()) continue;
+                        await fs.copyFile(path.join(storagePath, entry.name), path.join(backupPath, entry.name));
+                    }
+                }
+            }
+
+            const adapter = new LocalAdapter({ ...options, storagePath, durability: 'sync' });
+            const collections = await adapter.rewriteStorage();
+
+            return {
+                success: true,
+                data: {
+                    collections,
+                    backupPath,
+                    compression: adapter.compression,
+                    encryptFiles: adapter.encryptFiles
+                },
+                error: null
+            };
+
+        } catch (error) {
+            console.error(`[LiekoDB] MIGRATE ERROR: ${error.message}`);
+
+            return {
+                success: false,
+                data: { backupPath },
+                error: {
+                    message: error.message || 'Failed to migrate storage',
+                    code: 500
+                }
+            };
+        }
+    }
+
     _createAdapter(options) {
         if (options.token) {
             return new HTTPAdapter(options);
@@ -2162,15 +7030,85 @@ class LiekoDB {
         return new Collection(this.adapter, name);
     }
 
+    /**
+     * Returns the collection like `collection()`, after applying
+     * `options.schema` and `options.encryptedFields`. Throws when one of
+     * them is rejected.
+     */
+    async createCollection(name, options = {}) {
+        const collection = this.collection(name);
+
+        if (options.schema) {
+            const result = await collection.setSchema(options.schema);
+            if (!result.success) throw new Error(result.error.message);
+        }
+
+        if (options.encryptedFields) {
+            const result = await collection.setEncryptedFields(options.encryptedFields);
+            if (!result.success) throw new Error(result.error.message);
+        }
+
+        return collection;
+    }
+
     async listCollections() {
         return this.adapter.listCollections();
     }
 
+    /**
+     * Runs `fn` with a transaction whose collections see their own writes
+     * but keep them staged. They are applied together when `fn` resolves,
+     * and discarded when it throws (the error is rethrown) or calls
+     * `tx.abort()`. Resolves with `fn`'s return value as `data`.
+     */
+    async transaction(fn) {
+        if (!(this.adapter instanceof LocalAdapter)) {
+            throw new Error('Transactions are only supported with local storage');
+        }
+
+        const tx = new Transaction(this);
+        const result = await fn(tx);
+
+        if (tx.aborted) {
+            return {
+                success: false,
+                data: null,
+                error: { message: 'Transaction aborted', code: 400, type: 'TRANSACTION_ABORTED' }
+            };
+        }
+
+        const commit = await this.adapter.commitTransaction(tx.adapter);
+        if (!commit.success) return commit;
+
+        return {
+            success: true,
+            data: result,
+            error: null
+        };
+    }
+
     async dropCollection(name) {
         this._validateCollectionName(name);
         return this.adapter.dropCollection(name);
     }
 
+    /**
+     * Writes a consistent archive of all collections and their metadata to
+     * a directory or a writable stream.
+     */
+    async backup(target) {
+        return this.adapter.backup(target);
+    }
+
+    /**
+     * Restores collections from an archive made by `backup()`. Options:
+     * `collections` (names to restore, all by default) and
+     * `mode` ('replace', the default, or 'merge').
+     */
+    async restore(source, options = {}) {
+        return this.adapter.restore(source, options);
+    }
+
     async status() {
         return this.adapter.status();
     }
@@ -2184,4 +7122,390 @@ class LiekoDB {
     }
 }
 
+/**
+ * HTTP front for a local database, speaking the protocol HTTPAdapter uses:
+ * `/api/collections/:name[/:param]` with a Bearer token, answered with the
+ * usual `{ success, data, error }` envelopes and a matching status code.
+ */
+class LiekoServer {
+    constructor(options = {}) {
+        const { tokens, tokensFile, port, host, maxBodySize, token, databaseUrl, ...dbOptions } = options;
+
+        this.tokensFile = tokensFile || null;
+        this.tokens = this._parseTokens(this.tokensFile ? this._readTokensFile() : tokens);
+
+        if (this.tokensFile) {
+            // Edits to the file apply without a restart
+            this.tokensWatcher = fsSync.watchFile(this.tokensFile, { interval: 1000 }, () => this.reloadTokens());
+            this.tokensWatcher.unref?.();
+        }
+
+        this.port = port === undefined ? 8050 : port;
+        this.host = host || '127.0.0.1';
+        this.maxBodySize = maxBodySize || 16 * 1024 * 1024;
+        this.debug = dbOptions.debug || false;
+
+        this.db = new LiekoDB(dbOptions);
+        this.adapter = this.db.adapter;
+        this.sockets = new Set();
+        this.streams = new Set();
+
+        this.server = http.createServer((req, res) => {
+            this._handle(req, res).catch(error => {
+                console.error(`[LiekoDB] SERVER ERROR: ${error.message}`);
+                if (!res.headersSent) {
+                    this._send(res, { success: false, data: null, error: { message: 'Internal server error', code: 500 } });
+                } else {
+                    res.end();
+                }
+            });
+        });
+
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+    }
+
+    listen(port = this.port, host = this.host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                this._log(`Listening on http://${host}:${this.port}`);
+                resolve(this);
+            });
+        });
+    }
+
+    async close() {
+        if (this.tokensFile) fsSync.unwatchFile(this.tokensFile);
+        this.streams.forEach(stream => stream.close());
+
+        await new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.sockets.forEach(socket => socket.destroy());
+        });
+
+        return this.db.close();
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (parts.length === 1 && parts[0] === 'ping') {
+            return this._send(res, { success: true, data: 'pong', error: null });
+        }
+
+        if (parts[0] !== 'api') {
+            return this._send(res, this._error(`Not found: ${url.pathname}`, 404));
+        }
+
+        const grant = this._authenticate(req);
+        if (!grant) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this._send(res, this._error('Missing or invalid token', 401));
+        }
+
+        const endpoint = '/' + parts.slice(1).join('/');
+
+        if (req.method === 'GET' && endpoint === '/status') {
+            const denied = this._authorize(grant, 'admin', []);
+            if (denied) return this._send(res, denied);
+            return this._send(res, { success: true, data: await this.db.status(), error: null });
+        }
+
+        if (req.method === 'POST' && (endpoint === '/backup' || endpoint === '/restore')) {
+            const denied = this._authorize(grant, 'admin', [])
+                || (grant.unrestricted ? null : this._error('Backup and restore require a token with access to every collection', 403));
+            if (denied) return this._send(res, denied);
+
+            if (endpoint === '/backup') {
+                res.setHeader('Content-Type', 'application/x-ndjson');
+                const result = await this.adapter.backup(res);
+                if (!result.success) {
+                    if (res.headersSent) res.destroy();
+                    else this._send(res, result);
+                }
+                return;
+            }
+
+            let options;
+            try {
+                options = this._parseQuery(url.searchParams);
+            } catch (e) {
+                return this._send(res, this._error(e.message, 400));
+            }
+            return this._send(res, await this.adapter.restore(req, options));
+        }
+
+        if (parts[1] !== 'collections') {
+            return this._send(res, this._error(`Unsupported endpoint: ${req.method} ${endpoint}`, 404));
+        }
+
+        if (req.method === 'GET' && parts.length === 2) {
+            const collections = (await this.db.listCollections()).filter(name => this._canAccess(grant, name));
+            return this._send(res, { success: true, data: collections, error: null });
+        }
+
+        try {
+            this.db._validateCollectionName(parts[2]);
+        } catch (e) {
+            return this._send(res, this._error(e.message, 400));
+        }
+
+        if (req.method === 'GET' && parts[3] === 'watch' && parts.length === 4) {
+            const denied = this._authorize(grant, 'read', [parts[2]]);
+            if (denied) return this._send(res, denied);
+            return this._watch(req, res, parts[2], url.searchParams);
+        }
+
+        let payload;
+        try {
+            payload = req.method === 'GET' || req.method === 'HEAD'
+                ? this._parseQuery(url.searchParams)
+                : await this._readBody(req);
+        } catch (e) {
+            return this._send(res, this._error(e.message, e.code || 400));
+        }
+
+        const denied = this._authorize(grant, this._requiredScope(req.method, parts[3]), [parts[2], ...this._joinedCollections(payload)]);
+        if (denied) {
+            this._log(`FORBIDDEN ${req.method} ${endpoint} | ${denied.error.message}`);
+            return this._send(res, denied);
+        }
+
+        let result;
+        try {
+            result = await this.adapter.request(req.method, endpoint, payload);
+        } catch (e) {
+            const code = e.message.startsWith('Unsupported endpoint') ? 404 : 500;
+            return this._send(res, this._error(e.message, code));
+        }
+
+        this._send(res, result);
+    }
+
+    /**
+     * Re-reads `tokensFile`. An unreadable or invalid file keeps the tokens
+     * currently in use. Returns whether the new ones were applied.
+     */
+    reloadTokens() {
+        if (!this.tokensFile) return false;
+
+        try {
+            this.tokens = this._parseTokens(this._readTokensFile());
+            this._log(`Reloaded ${this.tokens.size} token(s) from ${this.tokensFile}`);
+            return true;
+        } catch (error) {
+            console.error(`[LiekoDB] TOKENS RELOAD ERROR: ${error.message}`);
+            return false;
+        }
+    }
+
+    _readTokensFile() {
+        try {
+            return JSON.parse(fsSync.readFileSync(this.tokensFile, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to read tokens file "${this.tokensFile}": ${e.message}`);
+        }
+    }
+
+    // A token is either a plain string (admin on every collection) or
+    // { token, scope: 'read' | 'readwrite' | 'admin', collections: [patterns] }
+    _parseTokens(definitions) {
+        if (!Array.isArray(definitions) || definitions.length === 0) {
+            throw new Error('LiekoDB server requires at least one token');
+        }
+
+        const tokens = new Map();
+
+        for (const def of definitions) {
+            const grant = typeof def === 'string' ? { token: def } : def;
+            const scope = grant.scope || 'admin';
+            const collections = grant.collections || ['*'];
+
+            if (!grant.token || typeof grant.token !== 'string') {
+                throw new Error('Each token definition needs a non-empty "token" string');
+            }
+            if (!Object.prototype.hasOwnProperty.call(LiekoServer.SCOPES, scope)) {
+                throw new Error(`Invalid scope "${scope}". Expected 'read', 'readwrite' or 'admin'`);
+            }
+            if (!Array.isArray(collections) || !collections.every(c => typeof c === 'string')) {
+                throw new Error(`Collections of token scope "${scope}" must be an array of names or patterns`);
+            }
+
+            tokens.set(grant.token, {
+                scope,
+                unrestricted: collections.includes('*'),
+                collections: collections.map(pattern => new RegExp(
+                    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+                ))
+            });
+        }
+
+        return tokens;
+    }
+
+    _authenticate(req) {
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        return match ? this.tokens.get(match[1].trim()) || null : null;
+    }
+
+    _canAccess(grant, name) {
+        return grant.collections.some(pattern => pattern.test(name));
+    }
+
+    _requiredScope(method, param) {
+        if (param === 'indexes' && method === 'GET') return 'read';
+        if (param === 'indexes' || ((param === 'schema' || param === 'encryption') && method !== 'GET') || param === 'drop') return 'admin';
+        if (method === 'GET' || method === 'HEAD' || (method === 'POST' && param === 'aggregate')) return 'read';
+        return 'readwrite';
+    }
+
+    // Collections read through $lookup stages or the populate option
+    _joinedCollections(payload) {
+        const names = [];
+
+        for (const stage of Array.isArray(payload.pipeline) ? payload.pipeline : []) {
+            if (stage && stage.$lookup && stage.$lookup.from) names.push(stage.$lookup.from);
+        }
+
+        const populate = payload.options && payload.options.populate;
+        for (const spec of [].concat(populate || [])) {
+            if (spec && spec.from) names.push(spec.from);
+        }
+
+        return names;
+    }
+
+    _authorize(grant, scope, names) {
+        if (LiekoServer.SCOPES[grant.scope] < LiekoServer.SCOPES[scope]) {
+            return this._error(`Token scope "${grant.scope}" does not allow this operation (requires "${scope}")`, 403);
+        }
+
+        const denied = names.find(name => !this._canAccess(grant, name));
+        if (denied) {
+            return this._error(`Token is not allowed to access collection "${denied}"`, 403);
+        }
+
+        return null;
+    }
+
+    _parseQuery(searchParams) {
+        const payload = {};
+        for (const [key, value] of searchParams) {
+            try {
+                payload[key] = JSON.parse(value);
+            } catch (e) {
+                throw new Error(`Invalid JSON in query parameter "${key}"`);
+            }
+        }
+        return payload;
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodySize) {
+                    const error = new Error(`Request body exceeds ${this.maxBodySize} bytes`);
+                    error.code = 413;
+                    req.destroy();
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf8');
+                if (!raw) return resolve({});
+
+                try {
+                    const payload = JSON.parse(raw);
+                    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+                        return reject(new Error('Request body must be a JSON object'));
+                    }
+                    resolve(payload);
+                } catch (e) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    _watch(req, res, name, searchParams) {
+        let filter = {};
+        try {
+            filter = JSON.parse(searchParams.get('filter') || '{}');
+        } catch (e) {
+            return this._send(res, this._error('Invalid JSON in query parameter "filter"', 400));
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const stream = this.adapter.watch(name, filter, { resumeAfter: searchParams.get('resumeAfter') });
+        this.streams.add(stream);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        stream.on('change', event => {
+            res.write(`id: ${event.token}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+        stream.on('error', error => {
+            res.write(`event: error\ndata: ${JSON.stringify({ message: error.message, code: error.code, type: error.type })}\n\n`);
+        });
+        stream.on('close', () => {
+            clearInterval(heartbeat);
+            this.streams.delete(stream);
+            res.end();
+        });
+
+        req.on('close', () => stream.close());
+        this._log(`WATCH ${name} | Filter: ${JSON.stringify(filter)}`);
+    }
+
+    _error(message, code) {
+        const error = { message, code };
+        if (code === 403) error.type = 'FORBIDDEN';
+        return { success: false, data: null, error };
+    }
+
+    _send(res, envelope) {
+        const code = envelope.error?.code;
+        const status = envelope.success
+            ? 200
+            : (Number.isInteger(code) && code >= 400 && code < 600 ? code : 500);
+
+        const body = JSON.stringify(envelope);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    _log(...args) {
+        if (this.debug) console.log('[LiekoDB]', ...args);
+    }
+}
+
+LiekoServer.SCOPES = { read: 1, readwrite: 2, admin: 3 };
+
+LiekoDB.OPERATORS = QueryEngine.OPERATORS;
+
 module.exports = LiekoDB;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let orders;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-aggregation-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    orders = db.collection('orders');
+    await orders.insert([
+        { id: 'o1', customer: 'alice', status: 'paid', items: [{ sku: 'a', qty: 2, price: 10 }, { sku: 'b', qty: 1, price: 5 }] },
+        { id: 'o2', customer: 'bob', status: 'paid', items: [{ sku: 'a', qty: 1, price: 10 }] },
+        { id: 'o3', customer: 'alice', status: 'paid', items: [{ sku: 'c', qty: 3, price: 20 }] },
+        { id: 'o4', customer: 'carol', status: 'cancelled', items: [] }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function aggregate(pipeline) {
+    const result = await orders.aggregate(pipeline);
+    assert.equal(result.success, true, result.error?.message);
+    return result.data;
+}
+
+test('$match, $unwind, $project, $group, $sort and $limit chain', async () => {
+    const data = await aggregate([
+        { $match: { status: 'paid' } },
+        { $unwind: '$items' },
+        { $project: { customer: 1, total: { $multiply: ['$items.qty', '$items.price'] } } },
+        { $group: { _id: '$customer', revenue: { $sum: '$total' }, lines: { $sum: 1 } } },
+        { $sort: { revenue: -1 } },
+        { $limit: 1 }
+    ]);
+
+    assert.deepEqual(data, [{ _id: 'alice', revenue: 85, lines: 3 }]);
+});
+
+test('$group accumulators', async () => {
+    const [group] = await aggregate([
+        { $match: { status: 'paid' } },
+        { $unwind: '$items' },
+        {
+            $group: {
+                _id: null,
+                avgQty: { $avg: '$items.qty' },
+                minPrice: { $min: '$items.price' },
+                maxPrice: { $max: '$items.price' },
+                skus: { $addToSet: '$items.sku' },
+                orders: { $push: '$id' },
+                first: { $first: '$id' },
+                last: { $last: '$id' }
+            }
+        }
+    ]);
+
+    assert.equal(group.avgQty, 7 / 4);
+    assert.equal(group.minPrice, 5);
+    assert.equal(group.maxPrice, 20);
+    assert.deepEqual([...group.skus].sort(), ['a', 'b', 'c']);
+    assert.deepEqual(group.orders, ['o1', 'o1', 'o2', 'o3']);
+    assert.deepEqual([group.first, group.last], ['o1', 'o3']);
+});
+
+test('$unwind options, $skip and $count', async () => {
+    const unwound = await aggregate([
+        { $unwind: { path: '$items', preserveNullAndEmptyArrays: true, includeArrayIndex: 'line' } },
+        { $project: { id: 1, line: 1 } }
+    ]);
+    assert.deepEqual(unwound.map(doc => [doc.id, doc.line]), [['o1', 0], ['o1', 1], ['o2', 0], ['o3', 0], ['o4', null]]);
+
+    assert.deepEqual(await aggregate([{ $unwind: '$items' }, { $skip: 2 }, { $count: 'rest' }]), [{ rest: 2 }]);
+});
+
+test('$project excludes fields and rejects mixing exclusion with inclusion', async () => {
+    const [doc] = await aggregate([{ $match: { id: 'o2' } }, { $project: { items: 0, createdAt: 0 } }]);
+    assert.deepEqual(doc, { id: 'o2', customer: 'bob', status: 'paid' });
+
+    const result = await orders.aggregate([{ $project: { customer: 1, items: 0 } }]);
+    assert.equal(result.success, false);
+});
+
+test('an unknown stage fails the pipeline', async () => {
+    const result = await orders.aggregate([{ $bogus: {} }]);
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /Invalid pipeline stage: {"\$bogus":{}}/);
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let orders;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-arrays-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    orders = db.collection('orders');
+    await orders.insert([
+        { id: 'o1', items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 5 }], tags: ['gift', 'rush'], scores: [75, 95] },
+        { id: 'o2', items: [{ sku: 'A', qty: 3 }], tags: ['gift'], scores: [85] },
+        { id: 'o3', items: [], tags: [], scores: [] }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function ids(filter) {
+    const { data } = await orders.find(filter, { sort: { id: 1 } });
+    return data.map(doc => doc.id);
+}
+
+test('$elemMatch needs one element to satisfy every condition', async () => {
+    assert.deepEqual(await ids({ 'items.sku': 'A', 'items.qty': { $gt: 2 } }), ['o1', 'o2']);
+    assert.deepEqual(await ids({ items: { $elemMatch: { sku: 'A', qty: { $gt: 2 } } } }), ['o2']);
+    assert.deepEqual(await ids({ scores: { $elemMatch: { $gte: 80, $lt: 90 } } }), ['o2']);
+});
+
+test('$all needs every value, alone or with $elemMatch', async () => {
+    assert.deepEqual(await ids({ tags: { $all: ['gift', 'rush'] } }), ['o1']);
+    assert.deepEqual(await ids({ tags: { $all: ['gift'] } }), ['o1', 'o2']);
+    assert.deepEqual(await ids({
+        items: { $all: [{ $elemMatch: { sku: 'A' } }, { $elemMatch: { sku: 'B' } }] }
+    }), ['o1']);
+});
+
+test('$size matches array lengths, also under $not', async () => {
+    assert.deepEqual(await ids({ items: { $size: 0 } }), ['o3']);
+    assert.deepEqual(await ids({ tags: { $not: { $size: 1 } } }), ['o1', 'o3']);
+});
+
+test('the operators work in count, update, delete and $match', async () => {
+    assert.equal((await orders.count({ tags: { $all: ['gift'] } })).data, 2);
+
+    await orders.update({ items: { $elemMatch: { qty: { $gte: 5 } } } }, { $set: { bulk: true } });
+    assert.deepEqual(await ids({ bulk: true }), ['o1']);
+
+    const { data } = await orders.aggregate([{ $match: { scores: { $size: 1 } } }]);
+    assert.deepEqual(data.map(doc => doc.id), ['o2']);
+
+    await orders.delete({ items: { $size: 0 } });
+    assert.equal((await orders.count()).data, 2);
+});
+
+test('$all gives the same results with an index on the array', async () => {
+    const filters = [{ tags: { $all: ['gift', 'rush'] } }, { tags: { $all: ['gift'] } }];
+    const scanned = await Promise.all(filters.map(ids));
+
+    await orders.createIndex({ tags: 1 });
+    for (const [i, filter] of filters.entries()) {
+        assert.deepEqual(await ids(filter), scanned[i]);
+    }
+    const { data } = await orders.find(filters[0], { explain: true });
+    assert.equal(data.index, 'tags:1');
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let backups;
+let db;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-backup-'));
+    backups = path.join(dir, 'backups');
+    db = new LiekoDB({ storagePath: path.join(dir, 'data'), debug: false });
+
+    const users = db.collection('users');
+    await users.insert([{ id: 'a', email: 'a@example.com' }, { id: 'b', email: 'b@example.com' }]);
+    await users.createIndex({ email: 1 }, { unique: true });
+    await db.collection('orders').insert({ id: 'o1', user: 'a' });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('restore in replace mode brings back the backed-up state', async () => {
+    const backup = await db.backup(backups);
+    assert.equal(backup.success, true);
+    assert.equal(backup.data.documents, 3);
+    assert.ok(fs.existsSync(backup.data.path));
+
+    const users = db.collection('users');
+    await users.deleteById('a');
+    await users.insert({ id: 'c', email: 'c@example.com' });
+    await users.dropIndex('email:1');
+    await db.collection('orders').delete({});
+
+    const result = await db.restore(backups);
+    assert.equal(result.success, true);
+
+    const { data } = await users.find({}, { sort: { id: 1 } });
+    assert.deepEqual(data.map(doc => doc.id), ['a', 'b']);
+    assert.deepEqual((await users.listIndexes()).data.map(index => index.name), ['email:1']);
+    assert.equal((await users.verifyIndexes()).data.valid, true);
+    assert.equal((await db.collection('orders').count()).data, 1);
+    await db.close();
+
+    // The restored state is on disk
+    db = new LiekoDB({ storagePath: path.join(dir, 'data'), debug: false });
+    assert.equal((await db.collection('users').count()).data, 2);
+});
+
+test('queries run before a restore do not serve the pre-restore documents', async () => {
+    const users = db.collection('users');
+    await users.update({}, { $set: { plan: 'free' } });
+    await db.backup(backups);
+
+    await users.updateById('a', { $set: { plan: 'pro' } });
+    assert.deepEqual((await users.find({ plan: 'pro' })).data.map(doc => doc.id), ['a']);
+    assert.equal((await users.count({ plan: 'free' })).data, 1);
+
+    assert.equal((await db.restore(backups)).success, true);
+
+    assert.deepEqual((await users.find({ plan: 'pro' })).data, []);
+    assert.equal((await users.count({ plan: 'free' })).data, 2);
+});
+
+test('restore in merge mode upserts by id and keeps newer documents', async () => {
+    const { data: { path: archive } } = await db.backup(backups);
+
+    const users = db.collection('users');
+    await users.updateById('a', { $set: { email: 'changed@example.com' } });
+    await users.insert({ id: 'c', email: 'c@example.com' });
+
+    const result = await db.restore(archive, { collections: ['users'], mode: 'merge' });
+    assert.equal(result.success, true);
+
+    const { data } = await users.find({}, { sort: { id: 1 } });
+    assert.deepEqual(data.map(doc => [doc.id, doc.email]), [
+        ['a', 'a@example.com'],
+        ['b', 'b@example.com'],
+        ['c', 'c@example.com']
+    ]);
+    assert.equal((await users.verifyIndexes()).data.valid, true);
+});
+
+test('restore refuses unknown collections and bad modes without changing anything', async () => {
+    await db.backup(backups);
+    await db.collection('users').deleteById('a');
+
+    let result = await db.restore(backups, { collections: ['missing'] });
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 404);
+
+    result = await db.restore(backups, { mode: 'overwrite' });
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 400);
+
+    assert.equal((await db.collection('users').count()).data, 1);
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-changes-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Collects the events of `stream` until `count` of them arrived
+function collect(stream, count) {
+    const events = [];
+    return new Promise(resolve => {
+        stream.on('change', event => {
+            events.push(event);
+            if (events.length === count) resolve(events);
+        });
+    });
+}
+
+test('watch() emits insert, update and delete events in order', async () => {
+    const items = db.collection('items');
+    const stream = items.watch();
+    const received = collect(stream, 3);
+
+    await items.insert({ id: 'a', n: 1, tag: 'x' });
+    await items.updateById('a', { $set: { n: 2 }, $unset: { tag: true } });
+    await items.deleteById('a');
+
+    const [insert, update, remove] = await received;
+    stream.close();
+
+    assert.deepEqual([insert.op, update.op, remove.op], ['insert', 'update', 'delete']);
+    assert.equal(insert.doc.n, 1);
+    assert.deepEqual(update.before.n, 1);
+    assert.equal(update.updatedFields.n, 2);
+    assert.deepEqual(update.removedFields, ['tag']);
+    assert.equal(remove.doc, null);
+    assert.equal(remove.before.id, 'a');
+});
+
+test('a filtered stream only sees matching documents of its collection', async () => {
+    const stream = db.collection('items').watch({ n: { $gte: 10 } });
+    const received = collect(stream, 1);
+
+    await db.collection('other').insert({ n: 50 });
+    await db.collection('items').insert([{ id: 'small', n: 1 }, { id: 'big', n: 20 }]);
+
+    const [event] = await received;
+    stream.close();
+    assert.equal(event.id, 'big');
+});
+
+test('resumeAfter replays the retained events after a token', async () => {
+    const items = db.collection('items');
+    const first = items.watch();
+    const received = collect(first, 1);
+    await items.insert({ id: 'a' });
+    const [{ token }] = await received;
+    first.close();
+
+    await items.insert([{ id: 'b' }, { id: 'c' }]);
+
+    const resumed = items.watch({}, { resumeAfter: token });
+    const replayed = await collect(resumed, 2);
+    resumed.close();
+    assert.deepEqual(replayed.map(event => event.id), ['b', 'c']);
+
+    const lost = items.watch({}, { resumeAfter: 'unknown:1' });
+    const [error] = await once(lost, 'error');
+    assert.equal(error.type, 'CHANGE_STREAM_HISTORY_LOST');
+});
+
+test('writes inside a transaction are emitted once it commits', async () => {
+    const stream = db.collection('items').watch();
+    const events = [];
+    stream.on('change', event => events.push(event));
+
+    await db.transaction(async tx => {
+        await tx.collection('items').insert({ id: 'a' });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(events, []);
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    stream.close();
+
+    assert.deepEqual(events.map(event => [event.op, event.id]), [['insert', 'a']]);
+});
+
+test('an invalid filter fails the stream when watch() is called', async () => {
+    const stream = db.collection('items').watch({ n: { $bogus: 1 } });
+    const [error] = await once(stream, 'error');
+    assert.equal(error.code, 400);
+    assert.match(error.message, /Invalid query operator: \$bogus/);
+    assert.equal(stream.closed, true);
+});
+
+test('a filter that throws fails its own stream, never the write', async () => {
+    const items = db.collection('items');
+    const broken = items.watch({ $expr: { $gt: [{ $divide: ['$n', 0] }, 1] } });
+    const healthy = items.watch();
+    const received = collect(healthy, 2);
+    const failed = once(broken, 'error');
+
+    const result = await items.insert({ id: 'x', n: 1 });
+    assert.equal(result.success, true);
+    assert.equal((await items.insert({ id: 'y', n: 2 })).success, true);
+
+    const [error] = await failed;
+    assert.match(error.message, /\$divide by zero/);
+    assert.equal(broken.closed, true);
+    assert.deepEqual((await received).map(event => event.id), ['x', 'y']);
+    healthy.close();
+
+    assert.equal((await items.count()).data, 2);
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.equal((await db.collection('items').count()).data, 2);
+});
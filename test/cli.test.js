@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'liekodb.js');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-cli-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Runs the CLI in a process of its own, as a user would
+function cli(args, input) {
+    return new Promise(resolve => {
+        const child = execFile(process.execPath, [CLI, '--storage', dir, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+        child.stdin.end(input);
+    });
+}
+
+async function run(args, input) {
+    const result = await cli(args, input);
+    assert.equal(result.code, 0, result.stderr);
+    return result.stdout;
+}
+
+test('insert, find, count, update and delete documents', async () => {
+    await run(['insert', 'users', '[{id: "a", age: 31}, {id: "b", age: 25}, {id: "c", age: 40}]']);
+
+    const found = JSON.parse(await run(['find', 'users', '{age: {$gt: 30}}', '--sort', '-age', '--fields', 'id']));
+    assert.deepEqual(found.map(doc => doc.id), ['c', 'a']);
+    assert.equal((await run(['count', 'users'])).trim(), '3');
+
+    await run(['update', 'users', '{id: "b"}', '{$inc: {age: 1}}']);
+    assert.equal(JSON.parse(await run(['find', 'users', '{id: "b"}']))[0].age, 26);
+
+    await run(['delete', 'users', '{age: {$lt: 35}}']);
+    assert.equal((await run(['count', 'users'])).trim(), '1');
+
+    assert.match(await run(['ls']), /users\s+1/);
+});
+
+test('insert reads stdin when no document is given', async () => {
+    await run(['insert', 'users'], '{"id": "a"}');
+    assert.equal((await run(['count', 'users'])).trim(), '1');
+});
+
+test('status reports the collections on disk from a fresh process', async () => {
+    await run(['insert', 'users', '[{id: "a"}, {id: "b"}]']);
+    await run(['insert', 'orders', '{id: "o1"}']);
+
+    const status = JSON.parse(await run(['status']));
+    assert.deepEqual(status.collections.map(col => [col.name, col.documents]).sort(), [['orders', 1], ['users', 2]]);
+    assert.equal(status.totalDocuments, 3);
+});
+
+test('indexes can be created, listed, verified and dropped', async () => {
+    await run(['insert', 'users', '[{email: "a@example.com"}, {email: "b@example.com"}]']);
+    await run(['indexes', 'users', 'create', 'email', '--unique']);
+
+    assert.deepEqual(JSON.parse(await run(['indexes', 'users'])).map(index => index.name), ['email:1']);
+    assert.equal(JSON.parse(await run(['indexes', 'users', 'verify'])).valid, true);
+
+    const duplicate = await cli(['insert', 'users', '{email: "a@example.com"}']);
+    assert.equal(duplicate.code, 1);
+    assert.match(duplicate.stderr, /duplicate/i);
+
+    await run(['indexes', 'users', 'drop', 'email:1']);
+    assert.deepEqual(JSON.parse(await run(['indexes', 'users'])), []);
+});
+
+test('export and import round-trip through a file', async () => {
+    await run(['insert', 'users', '[{id: "a", name: "Ann"}, {id: "b", name: "Bob"}]']);
+    const file = path.join(dir, 'users.ndjson');
+
+    await run(['export', 'users', file]);
+    assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+
+    await run(['import', 'copy', file]);
+    const copied = JSON.parse(await run(['find', 'copy', '{}', '--sort', 'id']));
+    assert.deepEqual(copied.map(doc => doc.name), ['Ann', 'Bob']);
+});
+
+test('bad input fails with a message and a non-zero exit code', async () => {
+    let result = await cli(['frobnicate']);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Unknown command "frobnicate"/);
+
+    result = await cli(['find', 'users', '{age: ']);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Invalid filter/);
+
+    assert.match(await run(['help']), /^Usage: liekodb/);
+});
@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let orders;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-explain-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    orders = db.collection('orders');
+
+    const docs = [];
+    for (let i = 0; i < 40; i++) docs.push({ id: `o${i}`, customerId: `c${i % 4}`, total: i });
+    await orders.insert(docs);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a query without an index is a full scan', async () => {
+    const { data } = await orders.find({ customerId: 'c1' }, { limit: 3, explain: true });
+
+    assert.equal(data.index, null);
+    assert.equal(data.documentsScanned, 40);
+    assert.equal(data.documentsMatched, 10);
+    assert.equal(data.documentsReturned, 3);
+    assert.equal(data.sort, null);
+    assert.equal(typeof data.timings.total, 'number');
+});
+
+test('an indexed query reads only its candidates', async () => {
+    await orders.createIndex({ customerId: 1 });
+    const { data } = await orders.find({ customerId: 'c1' }, { sort: { total: -1 }, limit: 3, explain: true });
+
+    assert.equal(data.index, 'customerId:1');
+    assert.equal(data.documentsScanned, 10);
+    assert.equal(data.documentsReturned, 3);
+    assert.equal(data.sort, 'memory');
+});
+
+test('an index in the sort order serves the sort', async () => {
+    await orders.createIndex({ customerId: 1, total: -1 });
+    const { data } = await orders.explain().find({ customerId: 'c2' }, { sort: { total: -1 } });
+
+    assert.equal(data.index, 'customerId:1|total:-1');
+    assert.equal(data.sort, 'index');
+});
+
+test('explain does not return or change documents', async () => {
+    const before = (await orders.find({ customerId: 'c3' })).data;
+    const { data } = await orders.find({ customerId: 'c3' }, { explain: true });
+
+    assert.ok(!Array.isArray(data));
+    assert.deepEqual((await orders.find({ customerId: 'c3' })).data, before);
+});
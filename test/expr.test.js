@@ -0,0 +1,80 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let products;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-expr-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    products = db.collection('products');
+    await products.insert([
+        { id: 'a', name: '  Widget ', stock: 2, reorderLevel: 5, price: 12, salePrice: 8, onSale: true, qty: 10 },
+        { id: 'b', name: 'gadget', stock: 9, reorderLevel: 5, price: 9, onSale: false, qty: 20 },
+        { id: 'c', name: 'Doohickey', stock: 5, reorderLevel: 5, price: 30, onSale: false, qty: 1 }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function ids(filter) {
+    const { data } = await products.find(filter, { sort: { id: 1 } });
+    return data.map(doc => doc.id);
+}
+
+test('$expr compares fields of the same document', async () => {
+    assert.deepEqual(await ids({ $expr: { $lt: ['$stock', '$reorderLevel'] } }), ['a']);
+    assert.deepEqual(await ids({ $expr: { $lte: ['$stock', '$reorderLevel'] } }), ['a', 'c']);
+    assert.deepEqual(await ids({ $expr: { $eq: ['$missing', null] } }), ['a', 'b', 'c']);
+});
+
+test('arithmetic, conditions and string expressions', async () => {
+    assert.deepEqual(await ids({ $expr: { $gt: [{ $multiply: ['$price', '$qty'] }, 100] } }), ['a', 'b']);
+    assert.deepEqual(await ids({
+        $expr: { $cond: { if: '$onSale', then: { $lt: ['$salePrice', 10] }, else: { $lt: ['$price', 10] } } }
+    }), ['a', 'b']);
+    assert.deepEqual(await ids({ $expr: { $eq: [{ $toLower: { $trim: { input: '$name' } } }, 'widget'] } }), ['a']);
+    assert.deepEqual(await ids({ $expr: { $gt: [{ $strLenCP: '$name' }, 6] } }), ['a', 'c']);
+});
+
+test('$expr combines with ordinary conditions and indexes', async () => {
+    const filter = { onSale: false, $expr: { $gte: ['$stock', '$reorderLevel'] } };
+    assert.deepEqual(await ids(filter), ['b', 'c']);
+
+    await products.createIndex({ onSale: 1 });
+    assert.deepEqual(await ids(filter), ['b', 'c']);
+    assert.equal((await products.find(filter, { explain: true })).data.index, 'onSale:1');
+});
+
+test('$expr works in count, update, delete and $match', async () => {
+    const low = { $expr: { $lt: ['$stock', '$reorderLevel'] } };
+    assert.equal((await products.count(low)).data, 1);
+
+    await products.update(low, { $set: { reorder: true } });
+    assert.deepEqual(await ids({ reorder: true }), ['a']);
+
+    const { data } = await products.aggregate([{ $match: low }]);
+    assert.deepEqual(data.map(doc => doc.id), ['a']);
+
+    await products.delete(low);
+    assert.equal((await products.count()).data, 2);
+});
+
+test('computed fields use the same expressions', async () => {
+    const { data } = await products.find({ id: 'a' }, { fields: { total: { $multiply: ['$price', '$qty'] } } });
+    assert.equal(data[0].total, 120);
+});
+
+test('an unknown expression operator fails the query', async () => {
+    const result = await products.find({ $expr: { $bogus: [1, 2] } });
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /Unknown expression operator: \$bogus/);
+});
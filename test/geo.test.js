@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+const PARIS = [2.3522, 48.8566];
+
+let dir;
+let db;
+let stores;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-geo-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    stores = db.collection('stores');
+    await stores.insert([
+        { id: 'eiffel', location: { type: 'Point', coordinates: [2.2945, 48.8584] } },
+        { id: 'louvre', location: [2.3376, 48.8606] },
+        { id: 'versailles', location: { lng: 2.1204, lat: 48.8049 } },
+        { id: 'lyon', location: [4.8357, 45.7640] },
+        { id: 'nowhere', location: 'unknown' }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function ids(filter, options = {}) {
+    const { data } = await stores.find(filter, options);
+    return data.map(doc => doc.id);
+}
+
+// Every query runs without and with a 2dsphere index, with the same results
+async function withAndWithoutIndex(check) {
+    await check();
+    await stores.createIndex({ location: '2dsphere' });
+    await check();
+}
+
+test('$near sorts by distance within the bounds and projects it', async () => {
+    await withAndWithoutIndex(async () => {
+        assert.deepEqual(await ids({ location: { $near: { $geometry: { type: 'Point', coordinates: PARIS }, $maxDistance: 5000 } } }), ['louvre', 'eiffel']);
+        assert.deepEqual(await ids({ location: { $near: PARIS, $minDistance: 2000, $maxDistance: 30000 } }), ['eiffel', 'versailles']);
+
+        const { data } = await stores.find(
+            { location: { $near: PARIS } },
+            { fields: { distance: { $meta: 'geoNearDistance' } } }
+        );
+        assert.deepEqual(data.map(doc => doc.id), ['louvre', 'eiffel', 'versailles', 'lyon']);
+        assert.ok(Math.abs(data[0].distance - 1158) < 5, String(data[0].distance));
+        assert.ok(data[3].distance > 390000 && data[3].distance < 400000, String(data[3].distance));
+    });
+});
+
+test('$geoWithin accepts circles, boxes and polygons', async () => {
+    await withAndWithoutIndex(async () => {
+        assert.deepEqual(await ids({ location: { $geoWithin: { $centerSphere: [PARIS, 10 / 6378.1] } } }), ['eiffel', 'louvre']);
+        assert.deepEqual(await ids({ location: { $geoWithin: { $box: [[2.1, 48.8], [2.3, 48.9]] } } }), ['eiffel', 'versailles']);
+        assert.deepEqual(await ids({ location: { $geoWithin: { $polygon: [[2.0, 48.7], [2.5, 48.7], [2.5, 49.0], [2.0, 49.0]] } } }), ['eiffel', 'louvre', 'versailles']);
+        assert.deepEqual(await ids({
+            location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [[[4, 45], [5, 45], [5, 46], [4, 46], [4, 45]]] } } }
+        }), ['lyon']);
+    });
+});
+
+test('the index leaves out invalid locations and follows writes', async () => {
+    await stores.createIndex({ location: '2dsphere' }, { cellSize: 1 });
+    const world = { $geoWithin: { $box: [[-180, -90], [180, 90]] } };
+    assert.deepEqual(await ids({ location: world }), ['eiffel', 'louvre', 'versailles', 'lyon']);
+
+    await stores.updateById('lyon', { $set: { location: [2.35, 48.85] } });
+    await stores.insert({ id: 'notre-dame', location: [2.3499, 48.8530] });
+    await stores.deleteById('eiffel');
+    assert.equal((await stores.verifyIndexes()).data.valid, true);
+
+    assert.deepEqual(await ids({ location: { $near: PARIS, $maxDistance: 1000 } }), ['notre-dame', 'lyon']);
+    assert.equal((await stores.find({ location: { $near: PARIS } }, { explain: true })).data.index, 'location:2dsphere');
+});
+
+test('malformed shapes fail the query', async () => {
+    let result = await stores.find({ location: { $geoWithin: { $box: [[2.1, 48.8]] } } });
+    assert.match(result.error.message, /\$box requires/);
+
+    result = await stores.find({ location: { $near: 'paris' } });
+    assert.match(result.error.message, /\$near requires a GeoJSON Point/);
+});
@@ -0,0 +1,134 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-indexes-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function assertIndexesValid(collection) {
+    const { data } = await collection.verifyIndexes();
+    assert.equal(data.valid, true, JSON.stringify(data, null, 2));
+}
+
+test('indexes stay consistent through inserts, upserts, updates and deletes', async () => {
+    const users = db.collection('users');
+    await users.createIndex({ status: 1 });
+    await users.createIndex({ team: 1, age: -1 });
+    await users.createIndex({ tags: 1 });
+
+    await users.insert([
+        { id: 'a', status: 'active', team: 'x', age: 30, tags: ['admin', 'dev'] },
+        { id: 'b', status: 'active', team: 'y', age: 25, tags: ['dev'] },
+        { id: 'c', status: 'pending', team: 'x', age: 41 },
+        { id: 'd', status: 'banned', team: 'y', age: 19, tags: [] }
+    ]);
+    await assertIndexesValid(users);
+
+    await users.insert({ id: 'b', status: 'pending', tags: ['ops'] });
+    await users.update({ team: 'x' }, { $set: { status: 'archived' }, $inc: { age: 1 } });
+    await users.updateById('d', { $push: { tags: 'dev' }, $unset: { team: true } });
+    await assertIndexesValid(users);
+
+    await users.delete({ status: 'archived' });
+    await users.deleteById('b');
+    await users.insert({ id: 'e', status: 'active', team: 'x', age: 22 });
+    await assertIndexesValid(users);
+
+    const { data } = await users.find({ status: 'active' });
+    assert.deepEqual(data.map(doc => doc.id), ['e']);
+    assert.equal((await users.count({ tags: 'dev' })).data, 1);
+});
+
+test('indexed and full-scan queries return the same documents', async () => {
+    const items = db.collection('items');
+    await items.insert([
+        { status: 'x', n: 1 },
+        { status: 'y', n: 1 },
+        { status: 'x', n: 2 },
+        { status: 'x', n: 3, tags: ['a'] }
+    ]);
+
+    const filters = [
+        { status: 'x', $or: [{ n: 1 }, { n: 3 }] },
+        { $and: [{ status: 'x' }], n: { $gte: 2 } },
+        { status: 'x', $nor: [{ n: 1 }] },
+        { status: { $in: ['x', 'y'] }, n: { $lt: 2 } }
+    ];
+
+    const scan = [];
+    for (const filter of filters) scan.push((await items.count(filter)).data);
+
+    await items.createIndex({ status: 1 });
+    await items.createIndex({ n: 1 });
+
+    for (const [i, filter] of filters.entries()) {
+        assert.equal((await items.count(filter)).data, scan[i], JSON.stringify(filter));
+    }
+});
+
+test('unique indexes reject duplicate keys', async () => {
+    const users = db.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insert([{ id: 'a', email: 'a@example.com' }, { id: 'b', email: 'b@example.com' }]);
+
+    let result = await users.insert({ id: 'c', email: 'a@example.com' });
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 409);
+    assert.equal(result.error.type, 'DUPLICATE_KEY');
+    assert.deepEqual(result.error.keyValue, { email: 'a@example.com' });
+    assert.equal(result.error.conflictingId, 'a');
+
+    result = await users.updateById('b', { $set: { email: 'a@example.com' } });
+    assert.equal(result.error.type, 'DUPLICATE_KEY');
+
+    result = await users.update({}, { $set: { email: 'same@example.com' } });
+    assert.equal(result.error.type, 'DUPLICATE_KEY');
+
+    // A rejected batch leaves the collection untouched
+    result = await users.insert([{ id: 'd', email: 'd@example.com' }, { id: 'e', email: 'b@example.com' }]);
+    assert.equal(result.success, false);
+    assert.equal((await users.count()).data, 2);
+    assert.equal((await users.findById('b')).data.email, 'b@example.com');
+    await assertIndexesValid(users);
+});
+
+test('a unique index treats a missing field as a key unless it is sparse', async () => {
+    const users = db.collection('users');
+    await users.insert([{ id: 'a' }, { id: 'b' }, { id: 'c', username: 'carol' }]);
+
+    const result = await users.createIndex({ username: 1 }, { unique: true });
+    assert.equal(result.success, false);
+    assert.equal(result.error.type, 'DUPLICATE_KEY');
+    assert.deepEqual(result.error.duplicates, [{ keyValue: { username: null }, ids: ['a', 'b'] }]);
+
+    assert.equal((await users.createIndex({ username: 1 }, { unique: true, sparse: true })).success, true);
+    assert.equal((await users.insert({ id: 'd' })).success, true);
+    assert.equal((await users.insert({ id: 'e', username: 'carol' })).error.type, 'DUPLICATE_KEY');
+    await assertIndexesValid(users);
+});
+
+test('index definitions are rebuilt when the collection loads again', async () => {
+    const users = db.collection('users');
+    await users.insert([{ id: 'a', email: 'a@example.com' }]);
+    await users.createIndex({ email: 1 }, { unique: true });
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    const reloaded = db.collection('users');
+    const { data } = await reloaded.listIndexes();
+    assert.deepEqual(data.map(index => [index.name, index.unique]), [['email:1', true]]);
+    assert.equal((await reloaded.insert({ email: 'a@example.com' })).error.type, 'DUPLICATE_KEY');
+});
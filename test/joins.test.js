@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-joins-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+
+    await db.collection('users').insert([{ id: 'u1', name: 'Alice' }, { id: 'u2', name: 'Bob' }]);
+    await db.collection('tags').insert([{ id: 't1', label: 'js' }, { id: 't2', label: 'db' }]);
+    await db.collection('posts').insert([
+        { id: 'p1', title: 'Hello', authorId: 'u1', tagIds: ['t1', 't2'] },
+        { id: 'p2', title: 'Again', authorId: 'u3', tagIds: [] }
+    ]);
+    await db.collection('comments').insert([
+        { id: 'c1', postId: 'p1', text: 'first' },
+        { id: 'c2', postId: 'p1', text: 'second' }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('$lookup attaches the matching documents of another collection', async () => {
+    const { data } = await db.collection('posts').aggregate([
+        { $lookup: { from: 'comments', localField: 'id', foreignField: 'postId', as: 'comments' } },
+        { $project: { id: 1, count: { $size: '$comments' } } }
+    ]);
+    assert.deepEqual(data.map(doc => [doc.id, doc.count]), [['p1', 2], ['p2', 0]]);
+});
+
+test('$lookup matches array elements of the local field, with or without an index', async () => {
+    await db.collection('tags').createIndex({ label: 1 });
+    const { data } = await db.collection('posts').aggregate([
+        { $match: { id: 'p1' } },
+        { $lookup: { from: 'tags', localField: 'tagIds', foreignField: 'id', as: 'tags' } }
+    ]);
+    assert.deepEqual(data[0].tags.map(tag => tag.label), ['js', 'db']);
+
+    const byLabel = await db.collection('tags').aggregate([
+        { $lookup: { from: 'tags', localField: 'label', foreignField: 'label', as: 'same' } }
+    ]);
+    assert.deepEqual(byLabel.data.map(doc => doc.same.length), [1, 1]);
+});
+
+test('populate swaps ids for documents in find and findById', async () => {
+    const posts = db.collection('posts');
+    const { data } = await posts.find({}, {
+        sort: { id: 1 },
+        populate: [
+            { from: 'users', localField: 'authorId', as: 'author', fields: { name: 1 } },
+            { from: 'tags', localField: 'tagIds' }
+        ]
+    });
+
+    assert.deepEqual(data[0].author, { name: 'Alice' });
+    assert.deepEqual(data[0].tagIds.map(tag => tag.label), ['js', 'db']);
+    assert.equal(data[1].author, null);
+
+    const one = await posts.findById('p1', { populate: { from: 'users', localField: 'authorId', as: 'author' } });
+    assert.equal(one.data.author.name, 'Alice');
+    assert.equal(one.data.authorId, 'u1');
+});
+
+test('joining a collection that does not exist matches nothing and does not create it', async () => {
+    const posts = db.collection('posts');
+    const lookup = await posts.aggregate([{ $lookup: { from: 'missing', localField: 'id', foreignField: 'postId', as: 'x' } }]);
+    assert.deepEqual(lookup.data.map(doc => doc.x), [[], []]);
+
+    const populated = await posts.findById('p1', { populate: { from: 'missing', localField: 'authorId', as: 'author' } });
+    assert.equal(populated.data.author, null);
+
+    assert.ok(!(await db.listCollections()).includes('missing'));
+    await db.close();
+    assert.ok(!fs.existsSync(path.join(dir, 'missing.json')));
+});
+
+test('an incomplete $lookup fails the pipeline', async () => {
+    const result = await db.collection('posts').aggregate([{ $lookup: { from: 'users', as: 'author' } }]);
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /\$lookup requires from, localField, foreignField and as/);
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+const schema = {
+    type: 'object',
+    required: ['name', 'email'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 2 },
+        email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        role: { enum: ['admin', 'user'] },
+        address: {
+            type: 'object',
+            required: ['city'],
+            properties: { city: { type: 'string' } }
+        },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    }
+};
+
+let dir;
+let db;
+let users;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-schema-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    users = await db.createCollection('users', { schema });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('insert reports every violation with its path', async () => {
+    const result = await users.insert({ name: 'A', emial: 'a@b.c', age: 1.5, role: 'root', address: {}, tags: ['a', 1, 'c'] });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 400);
+    assert.equal(result.error.type, 'VALIDATION_ERROR');
+    assert.deepEqual(result.error.errors.map(error => error.path).sort(), [
+        'address.city', 'age', 'email', 'emial', 'name', 'role', 'tags', 'tags.1'
+    ].sort());
+    assert.equal((await users.count()).data, 0);
+});
+
+test('valid documents, with the managed fields, are accepted', async () => {
+    const result = await users.insert({ id: 'a', name: 'Ann', email: 'ann@example.com', age: 30, tags: ['x'] });
+    assert.equal(result.success, true, JSON.stringify(result.error));
+    assert.equal((await users.updateById('a', { $set: { role: 'admin' } })).success, true);
+});
+
+test('a rejected batch or update changes nothing and names the offending document', async () => {
+    await users.insert({ id: 'a', name: 'Ann', email: 'ann@example.com' });
+
+    let result = await users.insert([{ id: 'b', name: 'Bob', email: 'bob@example.com' }, { id: 'c', name: 'Cy' }]);
+    assert.equal(result.success, false);
+    assert.equal(result.error.errors[0].index, 1);
+    assert.equal((await users.count()).data, 1);
+
+    result = await users.updateById('a', { $unset: { email: true } });
+    assert.equal(result.error.type, 'VALIDATION_ERROR');
+    result = await users.update({}, { $set: { age: -1 } });
+    assert.equal(result.error.errors[0].id, 'a');
+    assert.equal((await users.findById('a')).data.email, 'ann@example.com');
+});
+
+test('setSchema counts the existing documents that fail it, removeSchema lifts it', async () => {
+    await users.insert([{ name: 'Ann', email: 'ann@example.com', age: 30 }, { name: 'Bob', email: 'bob@example.com' }]);
+
+    const set = await users.setSchema({ type: 'object', required: ['age'] });
+    assert.equal(set.data.invalidDocuments, 1);
+    assert.deepEqual((await users.getSchema()).data, { type: 'object', required: ['age'] });
+
+    assert.equal((await users.insert({ name: 'Cy' })).error.type, 'VALIDATION_ERROR');
+    await users.removeSchema();
+    assert.equal((await users.insert({ name: 'Cy' })).success, true);
+});
+
+test('the schema is stored next to the collection and reloaded', async () => {
+    assert.ok(fs.existsSync(path.join(dir, 'users.schema.json')));
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    const result = await db.collection('users').insert({ name: 'A' });
+    assert.equal(result.error.type, 'VALIDATION_ERROR');
+});
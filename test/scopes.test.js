@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let server;
+const clients = [];
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-scopes-'));
+    server = LiekoDB.createServer({
+        storagePath: path.join(dir, 'data'),
+        port: 0,
+        debug: false,
+        tokens: [
+            { token: 'admin', scope: 'admin' },
+            { token: 'writer', scope: 'readwrite', collections: ['users', 'orders'] },
+            { token: 'reader', scope: 'read', collections: ['logs_*', 'users'] }
+        ]
+    });
+    await server.listen();
+    await connect('admin').collection('users').insert({ id: 'u1', name: 'Ann' });
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function connect(token) {
+    const client = new LiekoDB({ token, databaseUrl: `http://127.0.0.1:${server.port}`, debug: false, warmup: false });
+    clients.push(client);
+    return client;
+}
+
+function assertForbidden(result) {
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 403);
+    assert.equal(result.error.type, 'FORBIDDEN');
+}
+
+test('a read token reads its collections and nothing else', async () => {
+    const reader = connect('reader');
+
+    assert.equal((await reader.collection('users').count()).data, 1);
+    assert.equal((await reader.collection('logs_2024').count()).success, true);
+    assertForbidden(await reader.collection('users').insert({ name: 'Bob' }));
+    assertForbidden(await reader.collection('users').updateById('u1', { $set: { name: 'X' } }));
+    assertForbidden(await reader.collection('orders').find());
+    assertForbidden(await reader.collection('users').createIndex({ name: 1 }));
+});
+
+test('a readwrite token writes but cannot manage collections', async () => {
+    const writer = connect('writer');
+
+    assert.equal((await writer.collection('orders').insert({ id: 'o1', user: 'u1' })).success, true);
+    assert.equal((await writer.collection('users').deleteById('u1')).success, true);
+    assertForbidden(await writer.collection('users').createIndex({ name: 1 }));
+    assertForbidden(await writer.collection('users').setSchema({ type: 'object' }));
+    assertForbidden(await writer.dropCollection('orders'));
+    assertForbidden(await writer.collection('logs_2024').insert({}));
+});
+
+test('joined collections must be allowed too', async () => {
+    const admin = connect('admin');
+    await admin.collection('orders').insert({ id: 'o1', user: 'u1' });
+    await admin.collection('secrets').insert({ id: 's1', user: 'u1' });
+
+    const writer = connect('writer');
+    const allowed = await writer.collection('orders').find({}, { populate: { from: 'users', localField: 'user', as: 'owner' } });
+    assert.equal(allowed.data[0].owner.name, 'Ann');
+
+    assertForbidden(await writer.collection('orders').aggregate([
+        { $lookup: { from: 'secrets', localField: 'user', foreignField: 'user', as: 'secrets' } }
+    ]));
+});
+
+test('collection lists only show what a token may see', async () => {
+    await connect('admin').collection('logs_2024').insert({ msg: 'hi' });
+    await connect('admin').collection('orders').insert({ id: 'o1' });
+
+    assert.deepEqual((await connect('reader').listCollections()).sort(), ['logs_2024', 'users']);
+    assert.deepEqual((await connect('admin').listCollections()).sort(), ['logs_2024', 'orders', 'users']);
+});
+
+test('a reader whose watch filter throws cannot break writes', async () => {
+    const stream = connect('reader').collection('users').watch({ $expr: { $gt: [{ $divide: ['$n', 0] }, 1] } });
+    const failed = new Promise(resolve => stream.once('error', resolve));
+    while (server.streams.size === 0) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const writer = connect('writer');
+    assert.equal((await writer.collection('users').insert({ id: 'x', n: 1 })).success, true);
+    assert.equal((await writer.collection('users').insert({ id: 'y', n: 2 })).success, true);
+    assert.match((await failed).message, /\$divide by zero/);
+    assert.equal((await writer.collection('users').count()).data, 3);
+});
+
+test('tokensFile edits apply on reload, an invalid file keeps the current tokens', async () => {
+    await server.close();
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify([{ token: 'old', scope: 'read' }]));
+
+    server = LiekoDB.createServer({ storagePath: path.join(dir, 'data'), tokensFile, port: 0, debug: false });
+    await server.listen();
+    assert.equal((await connect('old').collection('users').count()).data, 1);
+
+    fs.writeFileSync(tokensFile, JSON.stringify([{ token: 'new', scope: 'read' }]));
+    assert.equal(server.reloadTokens(), true);
+    assert.equal((await connect('new').collection('users').count()).data, 1);
+    assert.equal((await connect('old').collection('users').count()).error.code, 401);
+
+    fs.writeFileSync(tokensFile, '[{');
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(server.reloadTokens(), false);
+    } finally {
+        console.error = error;
+    }
+    assert.equal((await connect('new').collection('users').count()).success, true);
+});
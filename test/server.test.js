@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const LiekoDB = require('../liekodb.js');
+
+const TOKEN = 'test-token';
+
+let dir;
+let server;
+let client;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-server-'));
+    server = LiekoDB.createServer({ storagePath: dir, tokens: [TOKEN], port: 0, debug: false });
+    await server.listen();
+    client = connect(TOKEN);
+});
+
+afterEach(async () => {
+    await client.close();
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function connect(token) {
+    return new LiekoDB({ token, databaseUrl: `http://127.0.0.1:${server.port}`, debug: false, warmup: false });
+}
+
+// A raw request, for status codes the client turns into envelopes
+function request(method, url, token) {
+    return new Promise((resolve, reject) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        http.request(`http://127.0.0.1:${server.port}${url}`, { method, headers }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject).end();
+    });
+}
+
+test('a remote client gets the same results as a local database', async () => {
+    const users = client.collection('users');
+    await users.insert([{ id: 'a', age: 31 }, { id: 'b', age: 17 }]);
+    await users.updateById('b', { $inc: { age: 1 } });
+
+    assert.deepEqual((await users.find({ age: { $gte: 18 } }, { sort: { id: 1 } })).data.map(doc => doc.id), ['a', 'b']);
+    assert.equal((await users.count({ age: { $lt: 30 } })).data, 1);
+    assert.equal((await users.findById('a')).data.age, 31);
+    assert.deepEqual((await users.aggregate([{ $count: 'n' }])).data, [{ n: 2 }]);
+
+    await users.deleteById('a');
+    assert.deepEqual(await client.listCollections(), ['users']);
+
+    // The server's own database sees the writes
+    assert.equal((await server.db.collection('users').count()).data, 1);
+});
+
+test('error envelopes keep their code as the HTTP status', async () => {
+    const users = client.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insert({ email: 'a@example.com' });
+
+    const duplicate = await users.insert({ email: 'a@example.com' });
+    assert.equal(duplicate.success, false);
+    assert.equal(duplicate.error.code, 409);
+    assert.equal(duplicate.error.type, 'DUPLICATE_KEY');
+
+    const { status, body } = await request('GET', '/api/collections/users/bogus', TOKEN);
+    assert.ok(status >= 400 && status < 500);
+    assert.equal(JSON.parse(body).success, false);
+});
+
+test('requests need a known token, except /ping', async () => {
+    assert.equal((await request('GET', '/ping')).status, 200);
+    assert.equal((await request('GET', '/api/collections')).status, 401);
+    assert.equal((await request('GET', '/api/collections', 'wrong')).status, 401);
+    assert.equal((await request('GET', '/api/collections', TOKEN)).status, 200);
+});
+
+test('change streams are served as server-sent events', async () => {
+    const stream = client.collection('users').watch({ age: { $gte: 18 } });
+    // Events start with the server-side stream
+    while (server.streams.size === 0) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const received = new Promise(resolve => stream.once('change', resolve));
+    await client.collection('users').insert([{ id: 'kid', age: 9 }, { id: 'adult', age: 40 }]);
+
+    const event = await received;
+    stream.close();
+    assert.deepEqual([event.op, event.id], ['insert', 'adult']);
+});
+
+test('closing the server saves the database', async () => {
+    await client.collection('users').insert({ id: 'a' });
+    await client.close();
+    await server.close();
+
+    const db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.equal((await db.collection('users').count()).data, 1);
+    await db.close();
+
+    server = LiekoDB.createServer({ storagePath: dir, tokens: [TOKEN], port: 0, debug: false });
+    await server.listen();
+    client = connect(TOKEN);
+});
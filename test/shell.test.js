@@ -0,0 +1,138 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const LiekoDB = require('../liekodb.js');
+const { startShell, format, formatTable } = require('../bin/shell.js');
+
+const PROMPT = 'liekodb> ';
+
+let dir;
+let db;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-shell-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Starts a shell on `db`; `run(line)` resolves with what it printed
+function shell(options = {}) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    let waiting = null;
+
+    output.setEncoding('utf8');
+    output.on('data', chunk => {
+        text += chunk;
+        if (waiting && text.endsWith(PROMPT)) waiting();
+    });
+
+    const done = startShell(db, { input, output, terminal: false, history: '', ...options });
+
+    const run = line => new Promise(resolve => {
+        text = '';
+        waiting = () => {
+            waiting = null;
+            resolve(text.slice(0, -PROMPT.length).trimEnd());
+        };
+        input.write(line + '\n');
+    });
+    const exit = () => {
+        input.end();
+        return done;
+    };
+
+    return { run, exit };
+}
+
+test('results are awaited and printed with their duration', async () => {
+    const { run, exit } = shell();
+    await run("db.users.insert([{id: 'a', name: 'Ann', age: 31}, {id: 'b', name: 'Bob', age: 25}])");
+
+    const printed = await run("db.users.find({age: {$gt: 30}}, {fields: {name: 1}})");
+    const [json, timing] = printed.split(/\n(?=\()/);
+    assert.deepEqual(JSON.parse(json).map(doc => doc.name), ['Ann']);
+    assert.match(timing, /^\(\d+(\.\d+)? (µs|ms|s)\)$/);
+
+    assert.equal(await run('.timing'), 'Timings off');
+    assert.equal(await run('db.users.count()'), '2');
+    await exit();
+});
+
+test('timings leave the adapter debug logs off', async () => {
+    const logs = [];
+    const log = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+
+    try {
+        const { run, exit } = shell();
+        await run("db.users.insert({email: 'a@example.com'})");
+        await run("db.users.createIndex({email: 1})");
+        await run('db.users.find()');
+        await exit();
+    } finally {
+        console.log = log;
+    }
+
+    assert.equal(db.adapter.debug, false);
+    assert.deepEqual(logs.filter(line => line.startsWith('[LiekoDB]')), []);
+});
+
+test('.table prints documents as a table and errors print their message', async () => {
+    const { run, exit } = shell({ timing: false });
+    await run("db.users.insert([{name: 'Ann', age: 31}, {name: 'Bob'}])");
+    await run('.table');
+
+    const table = await run("db.users.find({}, {fields: {name: 1, age: 1}, sort: {name: 1}})");
+    assert.deepEqual(table.split('\n'), [
+        'name | age',
+        '-----+----',
+        'Ann  | 31',
+        'Bob  |',
+        '(2 documents)'
+    ]);
+
+    assert.match(await run('db.users.find({age: {$bogus: 1}})'), /^Error \d+: Invalid query operator: \$bogus/);
+    assert.equal(await run('db.users'), '[Collection users]');
+    await exit();
+});
+
+test('tab completion covers collections, collection methods and operators', async () => {
+    await db.collection('users').insert({ name: 'Ann' });
+
+    // Keeps hold of the REPL server to call its completer
+    const repl = require('repl');
+    const start = repl.start;
+    let server;
+    repl.start = (...args) => (server = start(...args));
+
+    let exit;
+    try {
+        ({ exit } = shell());
+    } finally {
+        repl.start = start;
+    }
+    const complete = line => new Promise((resolve, reject) => {
+        server.completer(line, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+
+    assert.deepEqual(await complete('db.us'), [['db.users'], 'db.us']);
+    assert.deepEqual((await complete('db.users.fin'))[0].sort(), ['db.users.find', 'db.users.findById', 'db.users.findOne']);
+    assert.deepEqual(await complete('db.users.find({age: {$gt'), [['$gt', '$gte'], '$gt']);
+    await exit();
+});
+
+test('format() and formatTable() render results', () => {
+    assert.equal(format({ success: true, data: 3, error: null }), '3');
+    assert.equal(format({ success: false, data: null, error: { message: 'Nope', code: 404 } }), 'Error 404: Nope');
+    assert.equal(format(undefined), 'undefined');
+    assert.equal(formatTable([{ a: 'x'.repeat(50) }]).split('\n')[2], 'x'.repeat(39) + '…');
+});
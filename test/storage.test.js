@@ -0,0 +1,178 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+const KEY = 'ab'.repeat(32);
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-storage-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('journal mode replays the log and drops a torn last record', async () => {
+    // No compaction, so the records stay in the log
+    const journal = { maxRatio: 100 };
+    let db = new LiekoDB({ storagePath: dir, debug: false, storageMode: 'journal', journal, durability: 'sync' });
+    const items = db.collection('items');
+    await items.insert([{ id: 'a', n: 1 }, { id: 'b', n: 2 }]);
+    await items.updateById('a', { $set: { n: 10 } });
+    await items.deleteById('b');
+    await db.close();
+
+    const logPath = path.join(dir, 'items.log');
+    assert.ok(fs.existsSync(logPath));
+
+    // A crash in the middle of an append
+    fs.appendFileSync(logPath, '{"op":"insert","doc":{"id":"c","n"');
+
+    db = new LiekoDB({ storagePath: dir, debug: false, storageMode: 'journal', journal });
+    const { data } = await db.collection('items').find({});
+    assert.deepEqual(data.map(doc => [doc.id, doc.n]), [['a', 10]]);
+    assert.ok(fs.readFileSync(logPath, 'utf8').endsWith('\n'));
+    assert.ok((await db.status()).recovered.some(entry => entry.file === 'items.log' && entry.action === 'truncated'));
+
+    // The next append starts on a line of its own
+    await db.collection('items').insert({ id: 'd', n: 4 });
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false, storageMode: 'journal', journal });
+    assert.deepEqual((await db.collection('items').find({})).data.map(doc => doc.id), ['a', 'd']);
+    await db.close();
+});
+
+test("durability 'sync' has the write on disk when it resolves", async () => {
+    const db = new LiekoDB({ storagePath: dir, debug: false, durability: 'sync' });
+    await db.collection('items').insert({ id: 'a', n: 1 });
+
+    const onDisk = JSON.parse(fs.readFileSync(path.join(dir, 'items.json'), 'utf8'));
+    assert.deepEqual(onDisk.map(doc => doc.id), ['a']);
+    await db.close();
+});
+
+test('an interrupted save is promoted or discarded on start', async () => {
+    let db = new LiekoDB({ storagePath: dir, debug: false });
+    await db.collection('done').insert({ id: 'a' });
+    await db.collection('torn').insert({ id: 'a' });
+    await db.close();
+
+    fs.writeFileSync(path.join(dir, 'done.json.tmp'), JSON.stringify([{ id: 'a' }, { id: 'b' }]));
+    fs.writeFileSync(path.join(dir, 'torn.json.tmp'), '[{"id":"a"},{"id":');
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.equal((await db.collection('done').count()).data, 2);
+    assert.equal((await db.collection('torn').count()).data, 1);
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+    await db.close();
+});
+
+test('a corrupt JSON file is salvaged and kept aside', async () => {
+    fs.writeFileSync(path.join(dir, 'items.json'), '[{"id":"a"},{"id":"b"},{"id":"c","n":');
+
+    const db = new LiekoDB({ storagePath: dir, debug: false });
+    const { data } = await db.collection('items').find({});
+    assert.deepEqual(data.map(doc => doc.id), ['a', 'b']);
+    assert.equal(fs.readdirSync(dir).filter(file => file.startsWith('items.json.corrupt-')).length, 1);
+    await db.close();
+});
+
+for (const compression of ['gzip', 'brotli']) {
+    test(`${compression}-compressed and encrypted files round-trip`, async () => {
+        let db = new LiekoDB({ storagePath: dir, debug: false, compression, encryptFiles: true, encryptionKey: KEY });
+        await db.collection('users').insert([{ id: 'a', email: 'alice@example.com' }, { id: 'b', email: 'bob@example.com' }]);
+        await db.close();
+
+        const raw = fs.readFileSync(path.join(dir, 'users.json'));
+        assert.equal(raw.subarray(0, 4).toString(), 'LKDB');
+        assert.ok(!raw.includes('alice@example.com'));
+
+        db = new LiekoDB({ storagePath: dir, debug: false, compression, encryptFiles: true, encryptionKey: KEY });
+        const { data } = await db.collection('users').find({}, { sort: { id: 1 } });
+        assert.deepEqual(data.map(doc => doc.email), ['alice@example.com', 'bob@example.com']);
+        await db.close();
+    });
+}
+
+test('encoded files need the right key and are never salvaged', async () => {
+    let db = new LiekoDB({ storagePath: dir, debug: false, compression: 'gzip', encryptFiles: true, encryptionKey: KEY });
+    await db.collection('users').insert({ id: 'a' });
+    await db.close();
+
+    const filePath = path.join(dir, 'users.json');
+    const original = fs.readFileSync(filePath);
+
+    db = new LiekoDB({ storagePath: dir, debug: false, encryptionKey: 'cd'.repeat(32) });
+    let result = await db.collection('users').find({});
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /different encryptionKey/);
+    await db.close();
+
+    const damaged = Buffer.from(original);
+    damaged[damaged.length - 1] ^= 0xff;
+    fs.writeFileSync(filePath, damaged);
+
+    db = new LiekoDB({ storagePath: dir, debug: false, encryptionKey: KEY });
+    result = await db.collection('users').find({});
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /authentication failed/);
+    await db.close();
+
+    assert.ok(fs.readFileSync(filePath).equals(damaged));
+});
+
+test('plain files keep loading after compression is turned on', async () => {
+    let db = new LiekoDB({ storagePath: dir, debug: false });
+    await db.collection('items').insert({ id: 'a' });
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false, compression: 'brotli' });
+    assert.equal((await db.collection('items').count()).data, 1);
+    await db.collection('items').insert({ id: 'b' });
+    await db.close();
+
+    assert.equal(fs.readFileSync(path.join(dir, 'items.json')).subarray(0, 4).toString(), 'LKDB');
+});
+
+test('encrypted fields are unreadable on disk and queryable in memory', async () => {
+    let db = new LiekoDB({ storagePath: dir, debug: false, encryptionKey: KEY });
+    const users = await db.createCollection('users', {
+        encryptedFields: [{ field: 'email', deterministic: true }, 'contact.phone']
+    });
+    await users.insert({ id: 'a', email: 'alice@example.com', contact: { phone: '555-0100' } });
+    await db.close();
+
+    const text = fs.readFileSync(path.join(dir, 'users.json'), 'utf8');
+    assert.ok(!text.includes('alice@example.com'));
+    assert.ok(!text.includes('555-0100'));
+    assert.ok(!fs.readFileSync(path.join(dir, 'users.encryption.json'), 'utf8').includes(KEY));
+
+    db = new LiekoDB({ storagePath: dir, debug: false, encryptionKey: KEY });
+    const { data } = await db.collection('users').find({ email: 'alice@example.com' });
+    assert.equal(data[0].contact.phone, '555-0100');
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.equal((await db.collection('users').find({})).success, false);
+    await db.close();
+});
+
+test('setEncryptedFields only changes its own collection', async () => {
+    const db = new LiekoDB({ storagePath: dir, debug: false, encryptionKey: KEY });
+    const users = db.collection('users');
+    const orders = db.collection('orders');
+    await users.insert({ id: 'u', ssn: '123-45-6789' });
+    await orders.insert({ id: 'o' });
+
+    await Promise.all([users.setEncryptedFields(['ssn']), orders.find({})]);
+
+    assert.ok(!fs.existsSync(path.join(dir, 'orders.encryption.json')));
+    assert.ok(!fs.readFileSync(path.join(dir, 'users.json'), 'utf8').includes('123-45-6789'));
+    await db.close();
+});
@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let posts;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-text-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    posts = db.collection('posts');
+    await posts.insert([
+        { id: 'p1', title: 'Running shoes for trails', body: 'Trail runners need grip.', status: 'published' },
+        { id: 'p2', title: 'Shoe care', body: 'Clean your shoes, then your running shoes again.', status: 'published' },
+        { id: 'p3', title: 'Café culture', body: 'Coffee and the city.', status: 'draft' },
+        { id: 'p4', title: 'Gardening', body: 'Nothing about footwear.', status: 'published' }
+    ]);
+    await posts.createIndex({ title: 'text', body: 'text' }, { weights: { title: 5 } });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function search(text, extra = {}, options = {}) {
+    const result = await posts.find({ $text: { $search: text }, ...extra }, options);
+    // find answers 404 when nothing matches
+    if (!result.success && result.error.code === 404) return [];
+    assert.equal(result.success, true, result.error?.message);
+    return result.data.map(doc => doc.id);
+}
+
+test('$text matches any word, stemmed and case-insensitively', async () => {
+    assert.deepEqual((await search('run')).sort(), ['p1', 'p2']);
+    assert.deepEqual((await search('SHOE gardening')).sort(), ['p1', 'p2', 'p4']);
+    assert.deepEqual(await search('the'), []);
+});
+
+test('accents are ignored', async () => {
+    assert.deepEqual(await search('cafe'), ['p3']);
+});
+
+test('phrases must appear and negated words exclude', async () => {
+    assert.deepEqual((await search('"running shoes"')).sort(), ['p1', 'p2']);
+    assert.deepEqual(await search('"shoes for"'), ['p1']);
+    assert.deepEqual(await search('shoes -trail'), ['p2']);
+});
+
+test('textScore ranks and projects the relevance', async () => {
+    const { data } = await posts.find(
+        { $text: { $search: 'shoes' } },
+        { fields: { title: 1, score: { $meta: 'textScore' } }, sort: { score: { $meta: 'textScore' } } }
+    );
+
+    assert.equal(data.length, 2);
+    assert.ok(data[0].score >= data[1].score);
+    assert.ok(data.every(doc => typeof doc.score === 'number' && doc.score > 0));
+});
+
+test('$text combines with other conditions and works in count, update and delete', async () => {
+    assert.deepEqual(await search('coffee', { status: 'published' }), []);
+    assert.equal((await posts.count({ $text: { $search: 'shoes' } })).data, 2);
+
+    await posts.update({ $text: { $search: 'garden' } }, { $set: { tagged: true } });
+    assert.deepEqual((await posts.find({ tagged: true })).data.map(doc => doc.id), ['p4']);
+
+    // The index follows the writes
+    await posts.insert({ id: 'p5', title: 'Shoes on sale', body: '' });
+    await posts.deleteById('p1');
+    assert.deepEqual((await search('shoes')).sort(), ['p2', 'p5']);
+    assert.equal((await posts.verifyIndexes()).data.valid, true);
+});
+
+test('$text needs a text index and a top-level position', async () => {
+    await db.collection('plain').insert({ title: 'x' });
+    let result = await db.collection('plain').find({ $text: { $search: 'x' } });
+    assert.match(result.error.message, /\$text requires a text index/);
+
+    result = await posts.find({ $or: [{ $text: { $search: 'shoes' } }, { status: 'draft' }] });
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /top level/);
+
+    result = await posts.createIndex({ status: 'text' });
+    assert.equal(result.error.code, 409);
+});
+
+test('the french analyzer drops french stop words', async () => {
+    const notes = db.collection('notes');
+    await notes.insert([{ id: 'n1', text: 'Le chat et la souris' }, { id: 'n2', text: 'Les chats noirs' }]);
+    await notes.createIndex({ text: 'text' }, { language: 'french' });
+
+    const { data } = await notes.find({ $text: { $search: 'chat' } });
+    assert.deepEqual(data.map(doc => doc.id).sort(), ['n1', 'n2']);
+    assert.equal((await notes.count({ $text: { $search: 'la' } })).data, 0);
+});
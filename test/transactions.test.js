@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-transactions-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    await db.collection('accounts').insert([{ id: 'a', balance: 100 }, { id: 'b', balance: 0 }]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function balances() {
+    const { data } = await db.collection('accounts').find({}, { sort: { id: 1 } });
+    return data.map(doc => doc.balance);
+}
+
+test('a transaction applies all of its writes together', async () => {
+    const result = await db.transaction(async tx => {
+        const accounts = tx.collection('accounts');
+        await accounts.updateById('a', { $inc: { balance: -40 } });
+        await accounts.updateById('b', { $inc: { balance: 40 } });
+        await tx.collection('ledger').insert({ from: 'a', to: 'b', amount: 40 });
+
+        // Staged writes are visible inside the transaction only
+        assert.equal((await accounts.findById('b')).data.balance, 40);
+        assert.equal((await db.collection('accounts').findById('b')).data.balance, 0);
+        return 'moved';
+    });
+
+    assert.deepEqual(result, { success: true, data: 'moved', error: null });
+    assert.deepEqual(await balances(), [60, 40]);
+    assert.equal((await db.collection('ledger').count()).data, 1);
+    assert.ok(!fs.existsSync(path.join(dir, '.transaction')));
+});
+
+test('queries see the documents a commit moved between results', async () => {
+    const accounts = db.collection('accounts');
+    const rich = async () => (await accounts.find({ balance: { $gte: 50 } })).data.map(doc => [doc.id, doc.balance]);
+    assert.deepEqual(await rich(), [['a', 100]]);
+
+    await db.transaction(async tx => {
+        await tx.collection('accounts').updateById('a', { $inc: { balance: -100 } });
+        await tx.collection('accounts').updateById('b', { $inc: { balance: 100 } });
+    });
+
+    assert.deepEqual(await rich(), [['b', 100]]);
+    assert.equal((await accounts.count({ balance: { $gte: 50 } })).data, 1);
+});
+
+test('a transaction that throws or aborts leaves nothing behind', async () => {
+    await assert.rejects(db.transaction(async tx => {
+        await tx.collection('accounts').updateById('a', { $inc: { balance: -40 } });
+        throw new Error('insufficient funds');
+    }), /insufficient funds/);
+
+    const result = await db.transaction(async tx => {
+        await tx.collection('accounts').updateById('b', { $inc: { balance: 40 } });
+        tx.abort();
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.error.type, 'TRANSACTION_ABORTED');
+
+    assert.deepEqual(await balances(), [100, 0]);
+    await db.close();
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.deepEqual(await balances(), [100, 0]);
+});
+
+test('a write outside the transaction makes it fail with a conflict', async () => {
+    const result = await db.transaction(async tx => {
+        await tx.collection('accounts').updateById('a', { $inc: { balance: -40 } });
+        await db.collection('accounts').updateById('b', { $set: { balance: 5 } });
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 409);
+    assert.equal(result.error.type, 'TRANSACTION_CONFLICT');
+    assert.deepEqual(result.error.collections, ['accounts']);
+    assert.deepEqual(await balances(), [100, 5]);
+});
+
+test('an interrupted commit is completed on start once its marker is written', async () => {
+    await db.close();
+
+    // Crash after the marker: the staged file must replace the live one
+    fs.writeFileSync(path.join(dir, 'accounts.json.txn'), JSON.stringify([{ id: 'a', balance: 60 }, { id: 'b', balance: 40 }]));
+    fs.writeFileSync(path.join(dir, '.transaction'), JSON.stringify({ collections: ['accounts'] }));
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.deepEqual(await balances(), [60, 40]);
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.txn') || file === '.transaction'), []);
+    assert.ok((await db.status()).recovered.some(entry => entry.file === 'accounts.json.txn' && entry.action === 'committed'));
+});
+
+test('an interrupted commit is rolled back on start without its marker', async () => {
+    await db.close();
+
+    // Crash before the marker: the staged file is dropped
+    fs.writeFileSync(path.join(dir, 'accounts.json.txn'), JSON.stringify([{ id: 'a', balance: 60 }, { id: 'b', balance: 40 }]));
+
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    assert.deepEqual(await balances(), [100, 0]);
+    assert.ok(!fs.existsSync(path.join(dir, 'accounts.json.txn')));
+    assert.ok((await db.status()).recovered.some(entry => entry.file === 'accounts.json.txn' && entry.action === 'rolled back'));
+});
@@ -0,0 +1,130 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-transfer-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Exports `collection` to a string
+async function exportText(collection, options) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const result = await collection.export(stream, options);
+    assert.equal(result.success, true, result.error?.message);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const docs = [
+    { id: 'a', name: 'Ann, "The" First', age: 31, zip: '01234', contact: { email: 'ann@example.com' }, tags: ['x', 'y'] },
+    { id: 'b', name: 'Bob', age: 25, active: false, note: '' }
+];
+
+for (const format of ['ndjson', 'csv', 'ejson']) {
+    test(`${format} export and import round-trip`, async () => {
+        const source = db.collection('source');
+        await source.insert(docs);
+        const text = await exportText(source, { format, fields: { createdAt: 0 } });
+
+        const target = db.collection('target');
+        const result = await target.import(Readable.from([text]), { format });
+        assert.deepEqual(result.data, { insertedCount: 2, updatedCount: 0, skippedCount: 0 });
+
+        const { data } = await target.find({}, { sort: { id: 1 }, fields: { createdAt: 0 } });
+        assert.deepEqual(data, docs);
+    });
+}
+
+test('csv import maps columns, keeps quoted cells and skips missing ones', async () => {
+    const csv = 'Name;E-mail;Age;Nickname;Line\n' +
+        '"Doe; Jane";jane@example.com;40;"";"first\nsecond"\n' +
+        'Joe;;007;;\n';
+    const users = db.collection('users');
+    const result = await users.import(Readable.from([csv]), {
+        format: 'csv',
+        delimiter: ';',
+        columns: { 'E-mail': 'contact.email' }
+    });
+    assert.equal(result.data.insertedCount, 2);
+
+    const { data } = await users.find({});
+    assert.deepEqual(data.map(({ id, createdAt, ...doc }) => doc), [
+        { Name: 'Doe; Jane', contact: { email: 'jane@example.com' }, Age: 40, Nickname: '', Line: 'first\nsecond' },
+        { Name: 'Joe', Age: '007' }
+    ]);
+});
+
+test('csv import decodes characters split across chunks and at the end of the input', async () => {
+    const bytes = Buffer.from('name\nJosé\nZoë', 'utf8');
+    // Every chunk boundary falls inside a two-byte character
+    const cut = [bytes.indexOf(0xc3), bytes.lastIndexOf(0xc3)].map(i => i + 1);
+    const chunks = [bytes.subarray(0, cut[0]), bytes.subarray(cut[0], cut[1]), bytes.subarray(cut[1])];
+
+    const users = db.collection('users');
+    await users.import(Readable.from(chunks), { format: 'csv' });
+    assert.deepEqual((await users.find({}, { sort: { name: 1 } })).data.map(doc => doc.name), ['José', 'Zoë']);
+
+    // A character cut off by the end of the input is not dropped silently
+    await users.import(Readable.from([Buffer.from('name\nAé', 'utf8').subarray(0, -1)]), { format: 'csv' });
+    assert.equal((await users.count({ name: 'A\uFFFD' })).data, 1);
+});
+
+test('import modes decide what happens to existing ids', async () => {
+    const users = db.collection('users');
+    await users.insert({ id: 'a', name: 'Ann', age: 30 });
+    const line = JSON.stringify({ id: 'a', name: 'Annie' }) + '\n';
+
+    let result = await users.import(Readable.from([line]));
+    assert.equal(result.data.skippedCount, 1);
+    assert.equal((await users.findById('a')).data.name, 'Ann');
+
+    result = await users.import(Readable.from([line]), { mode: 'upsert' });
+    assert.equal(result.data.updatedCount, 1);
+    assert.deepEqual([(await users.findById('a')).data.name, (await users.findById('a')).data.age], ['Annie', 30]);
+
+    await users.import(Readable.from([line]), { mode: 'replace' });
+    assert.equal((await users.findById('a')).data.age, undefined);
+});
+
+test('a malformed line stops the import and reports its line number', async () => {
+    const users = db.collection('users');
+    const result = await users.import(Readable.from(['{"id":"a"}\n{"id":\n']), { batchSize: 1 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 400);
+    assert.equal(result.data.line, 2);
+    assert.equal((await users.count()).data, 1);
+});
+
+test('ejson converts ObjectIds, dates and number wrappers', async () => {
+    const line = JSON.stringify({
+        _id: { $oid: '64b7f0c2a1b2c3d4e5f60718' },
+        at: { $date: '2024-01-02T03:04:05.000Z' },
+        n: { $numberLong: '42' }
+    });
+    const events = db.collection('events');
+    await events.import(Readable.from([line + '\n']), { format: 'ejson' });
+
+    const { data: [doc] } = await events.find({});
+    assert.equal(doc.id, '64b7f0c2a1b2c3d4e5f60718');
+    assert.equal(doc.at, '2024-01-02T03:04:05.000Z');
+    assert.equal(doc.n, 42);
+
+    const exported = JSON.parse(await exportText(events, { format: 'ejson', fields: { createdAt: 0 } }));
+    assert.deepEqual(exported.at, { $date: '2024-01-02T03:04:05.000Z' });
+    assert.deepEqual(exported._id, { $oid: '64b7f0c2a1b2c3d4e5f60718' });
+});
@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiekoDB = require('../liekodb.js');
+
+let dir;
+let db;
+let values;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'liekodb-types-'));
+    db = new LiekoDB({ storagePath: dir, debug: false });
+    values = db.collection('values');
+    await values.insert([
+        { id: 'int', v: 10 },
+        { id: 'double', v: 2.5 },
+        { id: 'string', v: '10' },
+        { id: 'date', v: '2025-03-01T09:30:00.000Z' },
+        { id: 'bool', v: true },
+        { id: 'null', v: null },
+        { id: 'object', v: { a: 1 } },
+        { id: 'array', v: ['x', 3] },
+        { id: 'missing' }
+    ]);
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function ids(filter, options = {}) {
+    const { data } = await values.find(filter, options);
+    return data.map(doc => doc.id);
+}
+
+test('$type matches type names, aliases, BSON numbers and lists', async () => {
+    assert.deepEqual((await ids({ v: { $type: 'number' } })).sort(), ['array', 'double', 'int']);
+    assert.deepEqual((await ids({ v: { $type: 'int' } })).sort(), ['array', 'int']);
+    assert.deepEqual((await ids({ v: { $type: 'string' } })).sort(), ['array', 'date', 'string']);
+    assert.deepEqual(await ids({ v: { $type: 'date' } }), ['date']);
+    assert.deepEqual(await ids({ v: { $type: 'bool' } }), ['bool']);
+    assert.deepEqual(await ids({ v: { $type: 'object' } }), ['object']);
+    assert.deepEqual(await ids({ v: { $type: 'array' } }), ['array']);
+    assert.deepEqual(await ids({ v: { $type: 2 } }), await ids({ v: { $type: 'string' } }));
+    assert.deepEqual((await ids({ v: { $type: ['null', 'bool'] } })).sort(), ['bool', 'null']);
+});
+
+test('an unknown $type fails the query', async () => {
+    const result = await values.find({ v: { $type: 'uuid' } });
+    assert.equal(result.success, false);
+    assert.match(result.error.message, /Unknown \$type: uuid/);
+});
+
+test('range operators only match values of their own type', async () => {
+    assert.deepEqual(await ids({ v: { $gt: 5 } }), ['int']);
+    // 'x' is the array element that matches
+    assert.deepEqual(await ids({ v: { $gte: '1' } }), ['string', 'date', 'array']);
+});
+
+test('Date filter values compare with ISO strings as instants', async () => {
+    assert.deepEqual(await ids({ v: new Date('2025-03-01T09:30:00Z') }), ['date']);
+    assert.deepEqual(await ids({ v: { $gte: new Date('2025-01-01') } }), ['date']);
+    assert.deepEqual(await ids({ v: { $lt: new Date('2025-01-01') } }), []);
+    assert.deepEqual(await ids({ v: '2025-03-01T10:30:00+01:00' }), []);
+    assert.deepEqual(await ids({ v: new Date('2025-03-01T10:30:00+01:00') }), ['date']);
+});
+
+test('sorting follows the cross-type order', async () => {
+    // Dates are stored as ISO strings, so they sort among the strings
+    const ascending = ['null', 'missing', 'double', 'int', 'string', 'date', 'object', 'array', 'bool'];
+    assert.deepEqual(await ids({}, { sort: { v: 1 } }), ascending);
+    assert.deepEqual(await ids({}, { sort: { v: -1 } }), ['bool', 'array', 'object', 'date', 'string', 'int', 'double', 'null', 'missing']);
+});